@@ -98,12 +98,27 @@ const filePreviewDisplay = document.getElementById('file-preview-display');
 const captionInput = document.getElementById('caption-input');
 const sendFileBtn = document.getElementById('send-file-btn');
 const cancelFileBtn = document.getElementById('cancel-file-btn');
+const sendAsSelect = document.getElementById('send-as-select');
+const stickerFields = document.getElementById('sticker-fields');
 
 let currentChatId = null;
 let lastMessageCount = 0;
 let isLoadingMessages = false;
 let selectedFile = null;
 let lastMessagesHash = '';
+let lastChats = [];
+let currentMessages = new Map(); // id -> message, for bubble actions
+let loadedMessages = []; // latest page plus any older history loaded, oldest first
+let historyCursor = null; // `before` cursor for the next older page, null at the start
+let isLoadingHistory = false;
+let highlightedMessageId = null; // search hit to mark after re-renders
+
+// "Send as" choices for the selected file -> /send-media option
+const SEND_AS_OPTIONS = [
+    { value: 'sendAudioAsVoice', label: '🎤 Voice note', accepts: type => type.startsWith('audio/') },
+    { value: 'sendMediaAsSticker', label: '🏷️ Sticker', accepts: type => type.startsWith('image/') || type.startsWith('video/') },
+    { value: 'sendMediaAsDocument', label: '📄 Document', accepts: () => true }
+];
 
 // Max file size: 64MB
 const MAX_FILE_SIZE = 64 * 1024 * 1024;
@@ -112,7 +127,7 @@ const BLOCKED_FORMATS = ['.heic', '.heif'];
 // Helper to generate hash for messages
 function hashMessages(messages) {
     if (!messages || messages.length === 0) return '';
-    return messages.slice(-5).map(m => m.id?._serialized || m.timestamp).join('|');
+    return messages.slice(-5).map(m => `${m.id}:${m.ack}`).join('|');
 }
 
 // Function to check for QR code and connection status
@@ -184,11 +199,13 @@ async function loadChats() {
 }
 
 function displayChats(chats) {
+    lastChats = chats;
     chatList.innerHTML = '';
 
     chats.forEach(chat => {
         const chatItem = document.createElement('div');
         chatItem.className = 'chat-item';
+        chatItem.dataset.chatId = chat.id;
         if (chat.id === currentChatId) {
             chatItem.classList.add('active');
         }
@@ -224,14 +241,17 @@ async function openChat(chatId, chatName) {
     chatNameElement.textContent = chatName;
     lastMessageCount = 0;
     lastMessagesHash = '';
+    loadedMessages = [];
+    historyCursor = null;
+    highlightedMessageId = null;
+    clearLoadedMedia();
 
     welcome.style.display = 'none';
     chatView.style.display = 'flex';
 
     document.querySelectorAll('.chat-item').forEach(item => {
-        item.classList.remove('active');
+        item.classList.toggle('active', item.dataset.chatId === chatId);
     });
-    event.currentTarget.classList.add('active');
 
     await loadMessages(chatId, true);
 }
@@ -249,13 +269,23 @@ async function loadMessages(chatId, forceReload = false) {
         const response = await fetchWithAuth(`/messages/${chatId}`);
         const data = await response.json();
 
-        if (data.messages) {
-            const currentCount = data.messages.length;
+        // Ignore a response for a chat we already left
+        if (data.messages && chatId === currentChatId) {
+            if (loadedMessages.length === 0) {
+                historyCursor = data.nextCursor;
+            }
+            
+            loadedMessages = mergeMessages(loadedMessages, data.messages);
             
-            if (forceReload || currentCount !== lastMessageCount) {
+            const currentCount = loadedMessages.length;
+            const currentHash = hashMessages(loadedMessages);
+            
+            // Re-render on new messages, or when recent ticks changed
+            if (forceReload || currentCount !== lastMessageCount || currentHash !== lastMessagesHash) {
                 console.log(`📨 Messages changed: ${lastMessageCount} → ${currentCount}`);
                 lastMessageCount = currentCount;
-                displayMessages(data.messages);
+                lastMessagesHash = currentHash;
+                displayMessages(loadedMessages);
             } else {
                 console.log('✅ No new messages');
             }
@@ -270,14 +300,76 @@ async function loadMessages(chatId, forceReload = false) {
     }
 }
 
+// Keep messages already shown (older ones scroll out of the latest page);
+// fresh copies replace stale ones so ticks and edits update
+function mergeMessages(existing, latest) {
+    const latestIds = new Set(latest.map(message => message.id));
+    
+    return [...existing.filter(message => !latestIds.has(message.id)), ...latest]
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Prepend the page before the oldest loaded message, keeping the scroll position.
+// Resolves to whether a page was added
+async function loadOlderMessages(limit) {
+    if (!historyCursor || isLoadingHistory) return false;
+    
+    const chatId = currentChatId;
+    const button = messagesContainer.querySelector('.load-older-btn');
+    
+    try {
+        isLoadingHistory = true;
+        
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Loading...';
+        }
+        
+        const response = await fetchWithAuth(`/messages/${chatId}?before=${encodeURIComponent(historyCursor)}${limit ? `&limit=${limit}` : ''}`);
+        const data = await response.json();
+        
+        if (!data.messages || chatId !== currentChatId) return false;
+        
+        const loadedIds = new Set(loadedMessages.map(message => message.id));
+        loadedMessages = [...data.messages.filter(message => !loadedIds.has(message.id)), ...loadedMessages];
+        historyCursor = data.nextCursor;
+        lastMessageCount = loadedMessages.length;
+        
+        const previousHeight = messagesContainer.scrollHeight;
+        const previousTop = messagesContainer.scrollTop;
+        
+        displayMessages(loadedMessages);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight - previousHeight + previousTop;
+        return true;
+    } catch (error) {
+        console.error('❌ Error loading older messages:', error);
+        
+        if (button) {
+            button.disabled = false;
+            button.textContent = '⬆️ Load older messages';
+        }
+        return false;
+    } finally {
+        isLoadingHistory = false;
+    }
+}
+
 function displayMessages(messages) {
     const wasAtBottom = (messagesContainer.scrollHeight - messagesContainer.scrollTop - messagesContainer.clientHeight) < 50;
+    const previousTop = messagesContainer.scrollTop;
     
-    messagesContainer.innerHTML = '';
+    messagesContainer.innerHTML = historyCursor
+        ? '<button class="load-older-btn">⬆️ Load older messages</button>'
+        : '';
+    currentMessages = new Map(messages.map(message => [message.id, message]));
 
     messages.forEach(message => {
         const messageDiv = document.createElement('div');
         messageDiv.className = message.fromMe ? 'message sent' : 'message received';
+        messageDiv.dataset.messageId = message.id;
+        if (message.id === highlightedMessageId) {
+            messageDiv.classList.add('highlighted');
+        }
 
         const time = new Date(message.timestamp * 1000);
         const timeStr = time.toLocaleTimeString('en-US', { 
@@ -286,49 +378,231 @@ function displayMessages(messages) {
         });
 
         let messageHTML = '<div class="message-bubble">';
+        messageHTML += renderMessageActions(message);
+        
+        // Locations, contact cards and polls carry their content in their own fields
+        const isRich = !!(message.location || message.poll || (message.vCards && message.vCards.length));
         
-        if (message.hasMedia && message.media) {
+        if (isRich) {
+            messageHTML += renderMedia(message);
+        } else if (message.hasMedia && message.media) {
             messageHTML += renderMedia(message.media);
         } else if (message.hasMedia && !message.media) {
             messageHTML += '<div class="message-text" style="color: #999; font-style: italic;">📎 Media (failed to load)</div>';
         }
         
-        if (message.body) {
+        if (message.body && !isRich) {
             messageHTML += `<div class="message-text">${escapeHtml(message.body)}</div>`;
         }
         
-        messageHTML += `<div class="message-time">${timeStr}</div>`;
+        messageHTML += `<div class="message-time">${timeStr}${message.fromMe ? renderTicks(message.ack) : ''}</div>`;
         messageHTML += '</div>';
 
         messageDiv.innerHTML = messageHTML;
         messagesContainer.appendChild(messageDiv);
     });
 
+    hydrateMedia();
+
     if (wasAtBottom) {
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    } else {
+        // Stay where the user was reading
+        messagesContainer.scrollTop = previousTop;
     }
 }
 
-function renderMedia(media) {
-    const mimeType = media.mimetype;
-    const base64Data = `data:${mimeType};base64,${media.data}`;
+// WhatsApp-style ticks: 🕓 pending, ✓ sent, ✓✓ delivered, blue ✓✓ read/played
+function renderTicks(ack) {
+    const ticks = {
+        '-1': ['⚠️', 'Failed', ''],
+        0: ['🕓', 'Pending', ''],
+        1: ['✓', 'Sent', ''],
+        2: ['✓✓', 'Delivered', ''],
+        3: ['✓✓', 'Read', 'read'],
+        4: ['✓✓', 'Played', 'read']
+    };
+    const [symbol, title, className] = ticks[ack] || ticks[0];
+    
+    return ` <span class="message-ticks ${className}" title="${title}">${symbol}</span>`;
+}
+
+function renderMessageActions(message) {
+    const id = escapeHtml(message.id);
+    const edit = message.fromMe && message.body && !message.hasMedia
+        ? `<button data-action="edit" data-id="${id}" title="Edit">✏️</button>`
+        : '';
+
+    return `
+        <div class="message-actions">
+            <button data-action="reply" data-id="${id}" title="Reply">↩️</button>
+            <button data-action="react" data-id="${id}" title="React">😀</button>
+            ${edit}
+            <button data-action="forward" data-id="${id}" title="Forward">➡️</button>
+            <button data-action="delete" data-id="${id}" title="Delete">🗑️</button>
+        </div>
+    `;
+}
+
+// Name and phone numbers from a vCard
+function parseVCard(vcard) {
+    const lines = vcard.split(/\r?\n/);
+    const name = lines.find(line => line.startsWith('FN'))?.split(':').slice(1).join(':').replace(/\\(.)/g, '$1');
+    const phones = lines
+        .filter(line => line.startsWith('TEL') || line.includes('.TEL'))
+        .map(line => line.split(':').slice(1).join(':'));
     
+    return { name: name || 'Contact', phones };
+}
+
+// Media, or a location / contact card / poll message
+function renderMedia(media) {
     let mediaHTML = '<div class="message-media">';
     
+    if (media.location) {
+        const { latitude, longitude, name, address } = media.location;
+        const mapUrl = `https://maps.google.com/?q=${encodeURIComponent(`${latitude},${longitude}`)}`;
+        
+        mediaHTML += `
+            <a class="rich-card" href="${mapUrl}" target="_blank" rel="noopener">
+                <strong>📍 ${escapeHtml(name || 'Location')}</strong>
+                ${address ? `<span>${escapeHtml(address)}</span>` : ''}
+                <small>${Number(latitude).toFixed(5)}, ${Number(longitude).toFixed(5)}</small>
+            </a>
+        `;
+        return mediaHTML + '</div>';
+    }
+    
+    if (media.vCards && media.vCards.length) {
+        mediaHTML += media.vCards.map(vcard => {
+            const contact = parseVCard(vcard);
+            return `
+                <div class="rich-card">
+                    <strong>👤 ${escapeHtml(contact.name)}</strong>
+                    ${contact.phones.map(phone => `<span>${escapeHtml(phone)}</span>`).join('')}
+                </div>
+            `;
+        }).join('');
+        return mediaHTML + '</div>';
+    }
+    
+    if (media.poll) {
+        mediaHTML += `
+            <div class="rich-card">
+                <strong>📊 ${escapeHtml(media.poll.question)}</strong>
+                ${media.poll.options.map(option => `<span>○ ${escapeHtml(option)}</span>`).join('')}
+                <small>${media.poll.allowMultipleAnswers ? 'Select one or more' : 'Select one'}</small>
+            </div>
+        `;
+        return mediaHTML + '</div>';
+    }
+    
+    // Only metadata comes with the message; the file loads when it scrolls into view
+    const mimeType = media.mimetype || '';
+    const url = escapeHtml(media.url);
+    
     if (mimeType.startsWith('image/')) {
-        mediaHTML += `<img src="${base64Data}" alt="Image">`;
+        mediaHTML += `<img data-media-src="${url}" alt="Image">`;
     } else if (mimeType.startsWith('video/')) {
-        mediaHTML += `<video controls src="${base64Data}"></video>`;
+        mediaHTML += `<video controls preload="metadata" data-media-src="${url}"></video>`;
     } else if (mimeType.startsWith('audio/')) {
-        mediaHTML += `<audio controls src="${base64Data}"></audio>`;
+        mediaHTML += `<audio controls preload="metadata" data-media-src="${url}"></audio>`;
     } else {
-        mediaHTML += `<p>📎 ${media.filename || 'File'}</p>`;
+        const size = media.filesize ? ` (${(media.filesize / 1024 / 1024).toFixed(2)} MB)` : '';
+        mediaHTML += `<p><a href="#" class="media-download" data-media-download="${url}" data-filename="${escapeHtml(media.filename || 'file')}">📎 ${escapeHtml(media.filename || 'File')}</a>${size}</p>`;
     }
     
     mediaHTML += '</div>';
     return mediaHTML;
 }
 
+// ============================================
+// LAZY MEDIA
+// ============================================
+
+// Files are fetched (with auth) when their bubble comes into view and kept as
+// object URLs, so re-rendering on every poll doesn't download them again
+const mediaRequests = new Map(); // media url -> Promise<object URL>
+const loadedMediaUrls = new Map(); // media url -> object URL
+
+const mediaObserver = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+        if (entry.isIntersecting) {
+            mediaObserver.unobserve(entry.target);
+            showLazyMedia(entry.target);
+        }
+    });
+}, { root: messagesContainer, rootMargin: '300px' });
+
+function loadMediaObjectUrl(url) {
+    if (!mediaRequests.has(url)) {
+        const request = fetchWithAuth(url).then(async (response) => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const objectUrl = URL.createObjectURL(await response.blob());
+            loadedMediaUrls.set(url, objectUrl);
+            return objectUrl;
+        });
+        
+        // Let a later render try again
+        request.catch(() => mediaRequests.delete(url));
+        mediaRequests.set(url, request);
+    }
+    
+    return mediaRequests.get(url);
+}
+
+async function showLazyMedia(element) {
+    try {
+        element.src = await loadMediaObjectUrl(element.dataset.mediaSrc);
+    } catch (error) {
+        console.error('❌ Error loading media:', error);
+        
+        const failed = document.createElement('div');
+        failed.className = 'message-text';
+        failed.style.cssText = 'color: #999; font-style: italic;';
+        failed.textContent = '📎 Media (failed to load)';
+        element.replaceWith(failed);
+    }
+}
+
+// Called after each render: reuse loaded files, watch the rest
+function hydrateMedia() {
+    mediaObserver.disconnect();
+    
+    messagesContainer.querySelectorAll('[data-media-src]').forEach(element => {
+        const loaded = loadedMediaUrls.get(element.dataset.mediaSrc);
+        
+        if (loaded) {
+            element.src = loaded;
+        } else {
+            mediaObserver.observe(element);
+        }
+    });
+}
+
+// Free the previous chat's files
+function clearLoadedMedia() {
+    loadedMediaUrls.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+    loadedMediaUrls.clear();
+    mediaRequests.clear();
+}
+
+async function downloadMedia(link) {
+    try {
+        const objectUrl = await loadMediaObjectUrl(link.dataset.mediaDownload);
+        const anchor = document.createElement('a');
+        anchor.href = objectUrl;
+        anchor.download = link.dataset.filename;
+        anchor.click();
+    } catch (error) {
+        console.error('❌ Error downloading file:', error);
+        showError('Could not download the file', 'Download Failed');
+    }
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -450,12 +724,34 @@ function showFilePreview(file) {
         filePreviewDisplay.innerHTML = previewHTML;
         filePreview.style.display = 'flex';
         captionInput.value = '';
+        setSendAsOptions(file.type);
         captionInput.focus();
     };
     
     reader.readAsDataURL(file);
 }
 
+function setSendAsOptions(type) {
+    sendAsSelect.innerHTML = '<option value="">Attachment</option>' + SEND_AS_OPTIONS
+        .filter(option => option.accepts(type || ''))
+        .map(option => `<option value="${option.value}">${option.label}</option>`)
+        .join('');
+    
+    sendAsSelect.value = '';
+    updateSendAsFields();
+}
+
+// Voice notes and stickers have no caption; stickers take a name and author
+function updateSendAsFields() {
+    const sendAs = sendAsSelect.value;
+    captionInput.style.display = sendAs === 'sendAudioAsVoice' || sendAs === 'sendMediaAsSticker' ? 'none' : '';
+    stickerFields.style.display = sendAs === 'sendMediaAsSticker' ? 'flex' : 'none';
+}
+
+if (sendAsSelect) {
+    sendAsSelect.onchange = updateSendAsFields;
+}
+
 if (cancelFileBtn) {
     cancelFileBtn.onclick = () => {
         filePreview.style.display = 'none';
@@ -480,6 +776,7 @@ if (sendFileBtn) {
                 try {
                     const base64Data = e.target.result.split(',')[1];
                     const caption = captionInput.value.trim();
+                    const sendAs = sendAsSelect.value;
                     
                     const response = await fetchWithAuth('/send-media', {
                         method: 'POST',
@@ -488,7 +785,12 @@ if (sendFileBtn) {
                             mediaData: base64Data,
                             mimeType: selectedFile.type,
                             caption: caption,
-                            filename: selectedFile.name
+                            filename: selectedFile.name,
+                            ...(sendAs && { [sendAs]: true }),
+                            ...(sendAs === 'sendMediaAsSticker' && {
+                                stickerName: document.getElementById('sticker-name').value.trim(),
+                                stickerAuthor: document.getElementById('sticker-author').value.trim()
+                            })
                         })
                     });
                     
@@ -515,7 +817,9 @@ if (sendFileBtn) {
                     } else {
                         // ✅ Show error modal
                         showError(
-                            data.details || data.error || 'Unknown error occurred',
+                            Array.isArray(data.details)
+                                ? data.details.map(detail => escapeHtml(detail.msg)).join('<br>')
+                                : data.details || data.error || 'Unknown error occurred',
                             '❌ Failed to Send File'
                         );
                     }
@@ -540,6 +844,641 @@ if (sendFileBtn) {
     };
 }
 
+// ============================================
+// MESSAGE SEARCH
+// ============================================
+
+const searchInput = document.getElementById('search-input');
+const searchFiltersBtn = document.getElementById('search-filters-btn');
+const searchFilters = document.getElementById('search-filters');
+const searchChat = document.getElementById('search-chat');
+const searchMedia = document.getElementById('search-media');
+const searchFrom = document.getElementById('search-from');
+const searchTo = document.getElementById('search-to');
+const searchResults = document.getElementById('search-results');
+
+// History page size while paging back to a search hit, and how many pages
+// to load before giving up (each page makes the server rescan the history)
+const SEARCH_JUMP_PAGE_SIZE = 200;
+const SEARCH_JUMP_MAX_PAGES = 5;
+
+let searchTimer = null;
+let searchRequest = 0; // only the latest search may render
+let searchResultItems = [];
+let searchNextOffset = null;
+
+// Same words the server searches for: letters and digits only
+function getSearchTerms(text) {
+    return text.match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Escaped text with the search terms in <mark>
+function highlightTerms(text, terms) {
+    if (terms.length === 0) return escapeHtml(text);
+    
+    const pattern = new RegExp(`(${terms.join('|')})`, 'giu');
+    
+    return text.split(pattern)
+        .map((part, index) => index % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join('');
+}
+
+// Part of a long message around the first hit
+function searchSnippet(text, terms) {
+    const lower = text.toLowerCase();
+    const first = Math.min(...terms.map(term => lower.indexOf(term.toLowerCase())).filter(index => index >= 0));
+    const start = Number.isFinite(first) ? Math.max(0, first - 40) : 0;
+    
+    return (start > 0 ? '…' : '') + text.slice(start, start + 160) + (start + 160 < text.length ? '…' : '');
+}
+
+async function runSearch(append = false) {
+    const text = searchInput.value.trim();
+    const terms = getSearchTerms(text);
+    
+    if (terms.length === 0) {
+        closeSearch();
+        return;
+    }
+    
+    const params = new URLSearchParams({ q: text });
+    if (searchChat.value) params.set('chat', searchChat.value);
+    if (searchMedia.value) params.set('media', searchMedia.value);
+    if (searchFrom.value) params.set('from', searchFrom.value);
+    if (searchTo.value) params.set('to', searchTo.value);
+    if (append) params.set('offset', searchNextOffset);
+    
+    const request = ++searchRequest;
+    
+    chatList.style.display = 'none';
+    searchResults.style.display = 'block';
+    
+    if (!append) {
+        searchResults.innerHTML = '<p class="search-status">Searching...</p>';
+    }
+    
+    try {
+        const response = await fetchWithAuth(`/search?${params}`);
+        const data = await response.json();
+        
+        if (request !== searchRequest) return;
+        
+        if (!response.ok) {
+            const details = Array.isArray(data.details) ? data.details.map(d => d.msg).join(', ') : '';
+            searchResults.innerHTML = `<p class="search-status error">${escapeHtml(details || data.error || 'Search failed')}</p>`;
+            return;
+        }
+        
+        searchResultItems = append ? [...searchResultItems, ...data.results] : data.results;
+        searchNextOffset = data.nextOffset;
+        displaySearchResults(terms);
+    } catch (error) {
+        console.error('❌ Error searching messages:', error);
+        
+        if (request === searchRequest) {
+            searchResults.innerHTML = '<p class="search-status error">Search failed</p>';
+        }
+    }
+}
+
+function displaySearchResults(terms) {
+    if (searchResultItems.length === 0) {
+        searchResults.innerHTML = '<p class="search-status">No messages found</p>';
+        return;
+    }
+    
+    searchResults.innerHTML = searchResultItems.map((result, index) => {
+        const date = new Date(result.timestamp * 1000).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+        const chatName = result.chatName || result.chatId.split('@')[0];
+        const sender = result.fromMe ? 'You' : (result.senderName || (result.sender || '').split('@')[0]);
+        const text = result.body || (result.hasMedia ? (result.media?.filename || result.type) : '');
+        
+        return `
+            <div class="chat-item search-result" data-index="${index}">
+                <div class="chat-item-header">
+                    <span class="chat-name">${highlightTerms(chatName, terms)}</span>
+                    <span class="chat-time">${date}</span>
+                </div>
+                <div class="search-result-text">
+                    <strong>${highlightTerms(sender, terms)}:</strong>
+                    ${result.hasMedia ? '📎 ' : ''}${highlightTerms(searchSnippet(text, terms), terms)}
+                    ${result.revokedAt ? '<em>(deleted)</em>' : ''}
+                </div>
+            </div>
+        `;
+    }).join('') + (searchNextOffset !== null ? '<button class="load-older-btn search-more-btn">More results</button>' : '');
+}
+
+function closeSearch() {
+    searchRequest++;
+    searchResultItems = [];
+    searchNextOffset = null;
+    searchResults.style.display = 'none';
+    searchResults.innerHTML = '';
+    chatList.style.display = '';
+}
+
+function fillSearchChats() {
+    const selected = searchChat.value;
+    
+    searchChat.innerHTML = '<option value="">All chats</option>' + lastChats
+        .map(chat => `<option value="${escapeHtml(chat.id)}">${escapeHtml(chat.name)}</option>`)
+        .join('');
+    searchChat.value = selected;
+}
+
+// Open the hit's chat and page back through its history until the message is loaded
+async function jumpToMessage(result) {
+    await openChat(result.chatId, result.chatName || result.chatId.split('@')[0]);
+    
+    for (let pages = 0; pages < SEARCH_JUMP_MAX_PAGES; pages++) {
+        if (currentChatId !== result.chatId || loadedMessages.some(message => message.id === result.id)) break;
+        if (!await loadOlderMessages(SEARCH_JUMP_PAGE_SIZE)) break;
+    }
+    
+    if (currentChatId !== result.chatId) return;
+    
+    const element = messagesContainer.querySelector(`[data-message-id="${CSS.escape(result.id)}"]`);
+    
+    if (!element) {
+        showError('This message is too far back in the chat to open here, or no longer in the WhatsApp Web history. It is still in the archive and in chat exports.', 'Message Not Found');
+        return;
+    }
+    
+    highlightedMessageId = result.id;
+    element.classList.add('highlighted');
+    element.scrollIntoView({ block: 'center' });
+    
+    setTimeout(() => {
+        if (highlightedMessageId !== result.id) return;
+        
+        highlightedMessageId = null;
+        messagesContainer.querySelector('.message.highlighted')?.classList.remove('highlighted');
+    }, 3000);
+}
+
+if (searchInput) {
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => runSearch(), 400);
+    });
+    
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            clearTimeout(searchTimer);
+            runSearch();
+        } else if (e.key === 'Escape') {
+            clearTimeout(searchTimer);
+            searchInput.value = '';
+            closeSearch();
+        }
+    });
+    
+    searchFiltersBtn.onclick = () => {
+        const show = searchFilters.style.display === 'none';
+        
+        if (show) {
+            fillSearchChats();
+        }
+        searchFilters.style.display = show ? 'flex' : 'none';
+    };
+    
+    [searchChat, searchMedia, searchFrom, searchTo].forEach(filter => {
+        filter.addEventListener('change', () => {
+            if (searchInput.value.trim()) {
+                runSearch();
+            }
+        });
+    });
+    
+    searchResults.addEventListener('click', (e) => {
+        const more = e.target.closest('.search-more-btn');
+        if (more) {
+            more.disabled = true;
+            more.textContent = 'Loading...';
+            runSearch(true);
+            return;
+        }
+        
+        const item = e.target.closest('.search-result');
+        if (!item) return;
+        
+        searchResults.querySelectorAll('.search-result').forEach(other => {
+            other.classList.toggle('active', other === item);
+        });
+        jumpToMessage(searchResultItems[item.dataset.index]);
+    });
+}
+
+// ============================================
+// MESSAGE TEMPLATES
+// ============================================
+
+const templateBtn = document.getElementById('template-btn');
+let messageTemplates = [];
+
+async function loadTemplates() {
+    const response = await fetchWithAuth('/templates');
+    const data = await response.json();
+    messageTemplates = data.templates || [];
+}
+
+// Show saved templates, plus a form to save a new one
+async function openTemplatePicker() {
+    if (!currentChatId) return;
+    
+    try {
+        await loadTemplates();
+    } catch (error) {
+        console.error('Error loading templates:', error);
+        showError('Failed to load templates');
+        return;
+    }
+    
+    const list = messageTemplates.length
+        ? messageTemplates.map(template => `
+            <div class="template-item" onclick="selectTemplate(${template.id})">
+                <div class="template-item-body">
+                    <strong>${template.media ? '📎 ' : ''}${escapeHtml(template.name)}</strong>
+                    <p>${escapeHtml(template.body)}</p>
+                </div>
+                <button class="template-delete" title="Delete" onclick="event.stopPropagation(); deleteTemplate(${template.id})">🗑️</button>
+            </div>
+        `).join('')
+        : '<p style="color: #999;">No templates yet. Save one below.</p>';
+    
+    const attachOption = selectedFile
+        ? `<label><input type="checkbox" id="template-attach"> Attach selected file (${escapeHtml(selectedFile.name)})</label>`
+        : '';
+    
+    modal.show({
+        type: 'info',
+        icon: '📝',
+        title: 'Templates',
+        subtitle: 'Pick a template to send to this chat',
+        message: `
+            <div class="template-list">${list}</div>
+            <div class="template-form">
+                <strong>➕ New Template</strong>
+                <input type="text" id="template-name" placeholder="Name (e.g. Order shipped)">
+                <textarea id="template-body" rows="3" placeholder="Hi {{name}}, your order {{order}} has shipped!"></textarea>
+                ${attachOption}
+            </div>
+        `,
+        buttons: [
+            { text: 'Close', type: 'secondary' },
+            { text: '💾 Save Template', type: 'primary', close: false, onClick: saveTemplate }
+        ]
+    });
+}
+
+async function saveTemplate() {
+    const name = document.getElementById('template-name').value.trim();
+    const body = document.getElementById('template-body').value;
+    const attach = document.getElementById('template-attach')?.checked;
+    
+    if (!name) {
+        showWarning('Please enter a template name');
+        return;
+    }
+    
+    try {
+        const payload = { name, body };
+        
+        if (attach && selectedFile) {
+            const dataUrl = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = (e) => resolve(e.target.result);
+                reader.onerror = reject;
+                reader.readAsDataURL(selectedFile);
+            });
+            
+            payload.media = {
+                data: dataUrl.split(',')[1],
+                mimetype: selectedFile.type,
+                filename: selectedFile.name
+            };
+        }
+        
+        const response = await fetchWithAuth('/templates', {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showSuccess(`Template "${data.template.name}" saved`, 'Saved');
+            openTemplatePicker();
+        } else {
+            const details = Array.isArray(data.details)
+                ? data.details.map(d => d.msg).join(', ')
+                : data.error;
+            showError(escapeHtml(details || 'Failed to save template'), 'Save Failed');
+        }
+    } catch (error) {
+        console.error('Error saving template:', error);
+        showError('Error saving template');
+    }
+}
+
+// Ask for the template's variables, then send it
+window.selectTemplate = function(id) {
+    const template = messageTemplates.find(t => t.id === id);
+    if (!template) return;
+    
+    const fields = template.variables.map(name => `
+        <input type="text" class="template-variable" data-name="${escapeHtml(name)}" placeholder="${escapeHtml(name)}">
+    `).join('');
+    
+    modal.show({
+        type: 'info',
+        icon: '📝',
+        title: escapeHtml(template.name),
+        subtitle: template.media ? `📎 ${escapeHtml(template.media.filename || template.media.mimetype)}` : '',
+        message: `
+            <div class="template-form">
+                ${fields}
+                <div class="template-preview">${escapeHtml(template.body)}</div>
+            </div>
+        `,
+        buttons: [
+            { text: 'Back', type: 'secondary', close: false, onClick: openTemplatePicker },
+            { text: '📤 Send', type: 'primary', close: false, onClick: () => sendTemplate(template) }
+        ]
+    });
+};
+
+async function sendTemplate(template) {
+    const variables = {};
+    document.querySelectorAll('.template-variable').forEach(input => {
+        variables[input.dataset.name] = input.value;
+    });
+    
+    try {
+        showLoading('Sending template...');
+        
+        const response = await fetchWithAuth('/send-message', {
+            method: 'POST',
+            body: JSON.stringify({
+                chatId: currentChatId,
+                template_id: template.id,
+                variables
+            })
+        });
+        
+        const data = await response.json();
+        hideLoading();
+        
+        if (data.success) {
+            showSuccess('Message sent successfully!', 'Sent');
+            await loadMessages(currentChatId, true);
+            setTimeout(() => loadChats(), 500);
+        } else {
+            showError(escapeHtml(data.error || 'Failed to send template'), 'Send Failed');
+        }
+    } catch (error) {
+        hideLoading();
+        console.error('Error sending template:', error);
+        showError('An error occurred while sending the template', 'Error');
+    }
+}
+
+window.deleteTemplate = function(id) {
+    const template = messageTemplates.find(t => t.id === id);
+    if (!template) return;
+    
+    showConfirm({
+        title: '🗑️ Delete Template',
+        message: `Delete template <strong>${escapeHtml(template.name)}</strong>?`,
+        type: 'warning',
+        confirmText: 'Delete',
+        confirmType: 'danger',
+        cancelText: 'Cancel',
+        onConfirm: async () => {
+            try {
+                await fetchWithAuth(`/templates/${id}`, { method: 'DELETE' });
+                openTemplatePicker();
+            } catch (error) {
+                console.error('Error deleting template:', error);
+                showError('Error deleting template');
+            }
+        }
+    });
+};
+
+if (templateBtn) {
+    templateBtn.onclick = openTemplatePicker;
+}
+
+// ============================================
+// MESSAGE ACTIONS
+// ============================================
+
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+// Call a message action endpoint, then refresh the chat
+async function runMessageAction(url, method, payload, successMessage) {
+    try {
+        const response = await fetchWithAuth(url, {
+            method,
+            body: payload ? JSON.stringify(payload) : undefined
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showSuccess(successMessage, 'Done');
+            await loadMessages(currentChatId, true);
+        } else {
+            const details = Array.isArray(data.details)
+                ? data.details.map(d => d.msg).join(', ')
+                : data.error;
+            showError(escapeHtml(details || 'Action failed'), 'Failed');
+        }
+    } catch (error) {
+        console.error('Error running message action:', error);
+        showError('An error occurred', 'Error');
+    }
+}
+
+function quotePreview(message) {
+    const text = message.body || (message.hasMedia ? '📎 Media' : '');
+    return `<div class="template-preview">${escapeHtml(text.length > 200 ? text.slice(0, 200) + '…' : text)}</div>`;
+}
+
+const messageActions = {
+    reply(message) {
+        modal.show({
+            type: 'info',
+            icon: '↩️',
+            title: 'Reply',
+            message: `
+                ${quotePreview(message)}
+                <div class="template-form" style="margin-top: 10px;">
+                    <textarea id="action-text" rows="3" placeholder="Type a reply..."></textarea>
+                </div>
+            `,
+            buttons: [
+                { text: 'Cancel', type: 'secondary' },
+                {
+                    text: '📤 Send',
+                    type: 'primary',
+                    onClick: () => {
+                        const text = document.getElementById('action-text').value.trim();
+                        if (text) {
+                            runMessageAction(`/messages/${encodeURIComponent(message.id)}/reply`, 'POST', { message: text }, 'Reply sent');
+                        }
+                    }
+                }
+            ]
+        });
+    },
+    
+    react(message) {
+        const buttons = REACTION_EMOJIS.map(emoji => `<button data-emoji="${emoji}">${emoji}</button>`).join('');
+        
+        modal.show({
+            type: 'info',
+            icon: '😀',
+            title: 'React',
+            message: `<div class="emoji-picker" id="emoji-picker">${buttons}</div>`,
+            buttons: [
+                { text: 'Cancel', type: 'secondary' },
+                {
+                    text: 'Remove Reaction',
+                    type: 'danger',
+                    onClick: () => runMessageAction(`/messages/${encodeURIComponent(message.id)}/react`, 'POST', { emoji: '' }, 'Reaction removed')
+                }
+            ]
+        });
+        
+        document.getElementById('emoji-picker').onclick = (e) => {
+            const emoji = e.target.dataset.emoji;
+            if (!emoji) return;
+            modal.close();
+            runMessageAction(`/messages/${encodeURIComponent(message.id)}/react`, 'POST', { emoji }, 'Reaction added');
+        };
+    },
+    
+    edit(message) {
+        modal.show({
+            type: 'info',
+            icon: '✏️',
+            title: 'Edit Message',
+            message: `
+                <div class="template-form">
+                    <textarea id="action-text" rows="3">${escapeHtml(message.body)}</textarea>
+                </div>
+            `,
+            buttons: [
+                { text: 'Cancel', type: 'secondary' },
+                {
+                    text: '💾 Save',
+                    type: 'primary',
+                    onClick: () => {
+                        const text = document.getElementById('action-text').value.trim();
+                        if (text && text !== message.body) {
+                            runMessageAction(`/messages/${encodeURIComponent(message.id)}/edit`, 'POST', { message: text }, 'Message edited');
+                        }
+                    }
+                }
+            ]
+        });
+    },
+    
+    forward(message) {
+        const options = lastChats
+            .filter(chat => chat.id !== currentChatId)
+            .map(chat => `<option value="${escapeHtml(chat.id)}">${escapeHtml(chat.name)}</option>`)
+            .join('');
+        
+        modal.show({
+            type: 'info',
+            icon: '➡️',
+            title: 'Forward Message',
+            message: `
+                ${quotePreview(message)}
+                <div class="template-form" style="margin-top: 10px;">
+                    <select id="action-chat">${options}</select>
+                </div>
+            `,
+            buttons: [
+                { text: 'Cancel', type: 'secondary' },
+                {
+                    text: '➡️ Forward',
+                    type: 'primary',
+                    onClick: () => {
+                        const chatId = document.getElementById('action-chat').value;
+                        if (chatId) {
+                            runMessageAction(`/messages/${encodeURIComponent(message.id)}/forward`, 'POST', { chatId }, 'Message forwarded');
+                        }
+                    }
+                }
+            ]
+        });
+    },
+    
+    delete(message) {
+        const url = `/messages/${encodeURIComponent(message.id)}`;
+        const buttons = [
+            { text: 'Cancel', type: 'secondary' },
+            { text: 'Delete for Me', type: 'danger', onClick: () => runMessageAction(url, 'DELETE', null, 'Message deleted') }
+        ];
+        
+        if (message.fromMe) {
+            buttons.push({
+                text: 'Delete for Everyone',
+                type: 'danger',
+                onClick: () => runMessageAction(`${url}?everyone=true`, 'DELETE', null, 'Message deleted for everyone')
+            });
+        }
+        
+        modal.show({
+            type: 'warning',
+            icon: '🗑️',
+            title: 'Delete Message',
+            message: quotePreview(message),
+            buttons
+        });
+    }
+};
+
+if (messagesContainer) {
+    messagesContainer.addEventListener('click', (e) => {
+        if (e.target.closest('.load-older-btn')) {
+            loadOlderMessages();
+            return;
+        }
+        
+        const download = e.target.closest('[data-media-download]');
+        if (download) {
+            e.preventDefault();
+            downloadMedia(download);
+            return;
+        }
+        
+        const button = e.target.closest('.message-actions button');
+        if (!button) return;
+        
+        const message = currentMessages.get(button.dataset.id);
+        if (message) {
+            messageActions[button.dataset.action](message);
+        }
+    });
+    
+    // Scrolling to the top loads earlier history
+    messagesContainer.addEventListener('scroll', () => {
+        if (messagesContainer.scrollTop < 40 && historyCursor) {
+            loadOlderMessages();
+        }
+    });
+}
+
 // Event listeners
 if (sendBtn) {
     sendBtn.onclick = sendMessage;
@@ -3,14 +3,27 @@ require('dotenv').config();
 
 // Import the libraries we need
 const express = require('express');
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia, Location, Poll } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
 const { createClient } = require('@supabase/supabase-js');
 const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { PassThrough } = require('stream');
+const multer = require('multer');
+const ipaddr = require('ipaddr.js');
+const safeRegex = require('safe-regex2');
+const archiver = require('archiver');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const cors = require('cors');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js');
 
 // Create our web server
 const app = express();
@@ -82,6 +95,13 @@ const validate = (req, res, next) => {
     next();
 };
 
+// Errors with a status are the caller's fault (reported as 4xx)
+function httpError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
 // Security headers
 app.use(helmet({
     contentSecurityPolicy: false, // Disable for development (enable in production)
@@ -140,6 +160,15 @@ const webhookLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+// 5. Export rate limiter (whole chats, optionally with their media)
+const exportLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 10, // 10 exports per minute
+    message: 'Too many exports, please wait a minute',
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 // ============================================
 // SUPABASE CONFIGURATION
 // ============================================
@@ -171,7 +200,13 @@ app.get('/', (req, res) => {
     res.redirect('/login.html');
 });
 
-app.use(express.json({ limit: '100mb' }));
+app.use(express.json({
+    limit: '100mb',
+    // Keep the raw bytes for verifying signed /webhook/send requests
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ limit: '100mb', extended: true }));
 
 // ============================================
@@ -207,6 +242,39 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Download message media through a signed link (sent in webhook payloads)
+app.get('/media/:token',
+    apiLimiter,
+    [
+        param('token')
+            .matches(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/).withMessage('Invalid media token')
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const link = verifyMediaToken(req.params.token);
+        
+        if (!link) {
+            return res.status(403).json({ error: 'Media link invalid or expired' });
+        }
+        
+        const media = await getCachedMedia(link.userId, link.messageId);
+        
+        if (!media) {
+            return res.status(404).json({ error: 'Media not found' });
+        }
+        
+        sendMediaFile(req, res, media, 300);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        
+        console.error('Error serving media link:', error);
+        res.status(500).json({ error: 'Failed to download media', details: error.message });
+    }
+});
+
 // ============================================
 // WHATSAPP CLIENT MANAGEMENT
 // ============================================
@@ -214,7 +282,7 @@ app.get('/health', (req, res) => {
 // Store multiple WhatsApp clients (one per user)
 const whatsappClients = new Map();
 const clientStates = new Map();
-const userWebhooks = new Map(); // userId -> webhookUrl
+const userWebhooks = new Map(); // userId -> { session (secrets), endpoints: [{ id, name, url, events, chatIds }] }
 
 // Middleware to verify authentication
 async function authenticateUser(req, res, next) {
@@ -241,49 +309,59 @@ async function authenticateUser(req, res, next) {
     }
 }
 
-// Function to send data to user's webhook
-async function sendToWebhook(userId, webhookData) {
-    const webhookUrl = userWebhooks.get(userId);
+// Webhook secret rotation: the previous secret stays valid for a grace period
+const WEBHOOK_SECRET_GRACE_MINUTES = 60;
+const WEBHOOK_SECRET_MAX_GRACE_MINUTES = 7 * 24 * 60; // 1 week
+
+function generateWebhookSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// Opaque id used in the /webhook/send URL instead of the user UUID
+function generateWebhookToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+// Constant-time string comparison (avoids leaking the secret through timing)
+function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') {
+        return false;
+    }
+    
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// The secrets currently accepted: the current one, plus the previous one
+// while its grace period lasts
+function getValidWebhookSecrets(session) {
+    const secrets = [];
     
-    if (!webhookUrl) {
-        console.log(`ℹ️ No webhook configured for user: ${userId}`);
-        return;
+    if (session.webhook_secret) {
+        secrets.push(session.webhook_secret);
     }
     
-    try {
-        console.log(`📤 Sending to webhook for user ${userId}:`, webhookUrl);
-        
-        const response = await fetch(webhookUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(webhookData)
-        });
-        
-        console.log(`✅ Webhook delivered: ${response.status}`);
-        
-        // Log webhook call
-        await supabase.from('webhook_logs').insert({
-            user_id: userId,
-            direction: 'incoming',
-            status: response.status.toString(),
-            payload: webhookData,
-            response: { status: response.status }
-        });
-        
-    } catch (error) {
-        console.error('❌ Webhook error:', error.message);
-        
-        // Log failed webhook
-        await supabase.from('webhook_logs').insert({
-            user_id: userId,
-            direction: 'incoming',
-            status: 'failed',
-            payload: webhookData,
-            response: { error: error.message }
-        });
+    if (session.webhook_secret_previous &&
+        session.webhook_secret_previous_expires_at &&
+        new Date(session.webhook_secret_previous_expires_at) > new Date()) {
+        secrets.push(session.webhook_secret_previous);
     }
+    
+    return secrets;
+}
+
+function isValidWebhookSecret(session, secret) {
+    return getValidWebhookSecrets(session).some(valid => safeEqual(valid, secret));
+}
+
+// Sign a webhook body so receivers can verify it came from us.
+// Signature = HMAC-SHA256(secret, `${timestamp}.${rawBody}`), hex encoded
+function signWebhookPayload(secret, timestamp, rawBody) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${rawBody}`)
+        .digest('hex');
 }
 
 // Function to get or create WhatsApp client for a user
@@ -310,7 +388,8 @@ async function getWhatsAppClient(userId) {
             headless: true,
             args: PUPPETEER_ARGS,
             executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined
-        }
+        },
+        ffmpegPath: FFMPEG_PATH // converts videos for animated stickers
     });
     
     // Initialize state
@@ -325,16 +404,7 @@ async function getWhatsAppClient(userId) {
     console.log(`📈 Active sessions: ${activeSessionsCount}/${MAX_CONCURRENT_SESSIONS}`);
     
     // Load webhook configuration from database
-    const { data: session } = await supabase
-        .from('whatsapp_sessions')
-        .select('webhook_url, webhook_enabled')
-        .eq('user_id', userId)
-        .single();
-    
-    if (session && session.webhook_enabled && session.webhook_url) {
-        userWebhooks.set(userId, session.webhook_url);
-        console.log(`🔗 Loaded webhook for user ${userId}`);
-    }
+    await loadUserWebhooks(userId);
     
     // EVENT: QR Code
     client.on('qr', async (qr) => {
@@ -344,16 +414,22 @@ async function getWhatsAppClient(userId) {
         const state = clientStates.get(userId);
         state.qr = qrDataURL;
         state.ready = false;
+        
+        await emitWebhookEvent(userId, 'session_qr', null, { status: 'qr_required' });
     });
     
     // EVENT: Authenticated (session restored)
-    client.on('authenticated', () => {
+    client.on('authenticated', async () => {
         console.log(`🔐 Session authenticated for user: ${userId}`);
+        
+        await emitWebhookEvent(userId, 'session_authenticated', null, { status: 'authenticated' });
     });
 
     // EVENT: Auth Failure
-    client.on('auth_failure', (msg) => {
+    client.on('auth_failure', async (msg) => {
         console.log(`❌ Auth failure for user ${userId}:`, msg);
+        
+        await emitWebhookEvent(userId, 'session_auth_failure', null, { status: 'auth_failure', reason: msg });
     });
     
     // EVENT: Ready
@@ -373,58 +449,131 @@ async function getWhatsAppClient(userId) {
                 is_connected: true,
                 updated_at: new Date().toISOString()
             });
+        
+        await emitWebhookEvent(userId, 'session_ready', null, {
+            status: 'ready',
+            phone: client.info?.wid?._serialized || null,
+            pushname: client.info?.pushname || null
+        });
+        
+        // Continue broadcasts and send scheduled messages that were waiting for this session
+        processBroadcasts();
+        processScheduledMessages();
     });
     
-    // EVENT: New message - Send to webhook!
-client.on('message', async (message) => {
-    console.log(`📩 New message for user ${userId} from:`, message.from);
+    // EVENT: Connection state changed (CONFLICT, UNPAIRED, TIMEOUT, ...)
+    client.on('change_state', async (waState) => {
+        console.log(`🔄 State changed for user ${userId}:`, waState);
+        
+        await emitWebhookEvent(userId, 'session_state', null, { status: 'state_changed', state: waState });
+    });
     
-    await loadChatsForUser(userId, client);
+    // EVENT: New message - Send to webhook!
+    client.on('message', async (message) => {
+        console.log(`📩 New message for user ${userId} from:`, message.from);
+        
+        await archiveMessage(userId, message);
+        
+        await loadChatsForUser(userId, client);
+        
+        await emitWebhookEvent(userId, 'message_received', message.from, () => buildMessageWebhookData(userId, message));
+    });
     
-    // Send to webhook if configured
-    const webhookUrl = userWebhooks.get(userId);
-    if (webhookUrl) {
-        const webhookData = {
-            event: 'message_received',
-            timestamp: new Date().toISOString(),
-            data: {
-                id: message.id._serialized,
-                from: message.from,
-                to: message.to,
-                body: message.body,
-                timestamp: message.timestamp,
-                fromMe: message.fromMe,
-                hasMedia: message.hasMedia,
-                isGroup: message.isGroup,
-                author: message.author,
-                chatName: message._data.notifyName || 'Unknown'
-            }
-        };
+    // EVENT: Message created - only our own sends (incl. from the phone),
+    // incoming ones are already covered by 'message'
+    client.on('message_create', async (message) => {
+        if (!message.fromMe) return;
         
-        // ✅ NEW: Download and send media if present
-        if (message.hasMedia) {
-            try {
-                console.log(`📎 Downloading media for webhook...`);
-                const media = await message.downloadMedia();
-                
-                if (media) {
-                    webhookData.data.media = {
-                        mimetype: media.mimetype,
-                        data: media.data, // Base64 string
-                        filename: media.filename || 'file',
-                        filesize: media.filesize
-                    };
-                    console.log(`✅ Media downloaded: ${media.mimetype}, size: ${media.filesize || 'unknown'} bytes`);
-                }
-            } catch (error) {
-                console.error(`❌ Failed to download media: ${error.message}`);
-                webhookData.data.mediaError = error.message;
-            }
+        await archiveMessage(userId, message);
+        
+        await recordMessageAck(userId, message, message.ack ?? 0);
+        
+        await emitWebhookEvent(userId, 'message_create', message.to, () => buildMessageWebhookData(userId, message));
+    });
+    
+    // EVENT: Delivery / read receipt for our messages
+    client.on('message_ack', async (message, ack) => {
+        if (message.fromMe) {
+            await recordMessageAck(userId, message, ack);
+            await updateArchivedMessage(userId, 'updateAck', message.id._serialized, ack);
         }
         
-        await sendToWebhook(userId, webhookData);
-    }
-});
+        await emitWebhookEvent(userId, 'message_ack', message.to, {
+            id: message.id._serialized,
+            chatId: message.to,
+            ack,
+            ackName: MESSAGE_ACK_NAMES[ack] || 'unknown'
+        });
+    });
+    
+    // EVENT: Message deleted for everyone
+    client.on('message_revoke_everyone', async (message, revokedMessage) => {
+        const chatId = message.fromMe ? message.to : message.from;
+        
+        // The archived copy keeps its body, only flagged as deleted
+        await updateArchivedMessage(userId, 'markRevoked', message.id._serialized);
+        
+        await emitWebhookEvent(userId, 'message_revoke_everyone', chatId, {
+            id: message.id._serialized,
+            chatId,
+            from: message.author || message.from,
+            fromMe: message.fromMe,
+            revokedBody: revokedMessage ? revokedMessage.body : null,
+            timestamp: message.timestamp
+        });
+    });
+    
+    // EVENT: Message edited
+    client.on('message_edit', async (message, newBody, prevBody) => {
+        const chatId = message.fromMe ? message.to : message.from;
+        
+        await updateArchivedMessage(userId, 'updateBody', message.id._serialized, newBody);
+        
+        await emitWebhookEvent(userId, 'message_edit', chatId, {
+            id: message.id._serialized,
+            chatId,
+            from: message.author || message.from,
+            fromMe: message.fromMe,
+            newBody,
+            previousBody: prevBody
+        });
+    });
+    
+    // EVENT: Reaction added or removed (empty reaction = removed)
+    client.on('message_reaction', async (reaction) => {
+        const chatId = reaction.msgId.remote;
+        
+        await emitWebhookEvent(userId, 'message_reaction', chatId, {
+            id: reaction.msgId._serialized,
+            chatId,
+            senderId: reaction.senderId,
+            reaction: reaction.reaction,
+            removed: !reaction.reaction,
+            timestamp: reaction.timestamp
+        });
+    });
+    
+    // EVENT: Participants joined / left a group
+    client.on('group_join', async (notification) => {
+        await emitWebhookEvent(userId, 'group_join', notification.chatId, buildGroupWebhookData(notification));
+    });
+    
+    client.on('group_leave', async (notification) => {
+        await emitWebhookEvent(userId, 'group_leave', notification.chatId, buildGroupWebhookData(notification));
+    });
+    
+    // EVENT: Incoming call
+    client.on('call', async (call) => {
+        console.log(`📞 Incoming call for user ${userId} from:`, call.from);
+        
+        await emitWebhookEvent(userId, 'incoming_call', call.from, {
+            id: call.id,
+            from: call.from,
+            isVideo: call.isVideo,
+            isGroup: call.isGroup,
+            timestamp: call.timestamp
+        });
+    });
     
     // EVENT: Disconnected
     client.on('disconnected', async (reason) => {
@@ -451,6 +600,8 @@ client.on('message', async (message) => {
         } catch (err) {
             console.error('⚠️ DB update error (ignored):', err.message);
         }
+        
+        await emitWebhookEvent(userId, 'session_disconnected', null, { status: 'disconnected', reason });
     });
 
     // EVENT: Error
@@ -498,417 +649,5955 @@ async function loadChatsForUser(userId, client) {
     }
 }
 
-// ============================================
-// SESSION CLEANUP (runs every hour)
-// ============================================
-
-setInterval(async () => {
-    console.log('🧹 Running session cleanup...');
-    
-    for (const [userId, client] of whatsappClients.entries()) {
-        try {
-            const state = await client.getState();
-            
-            if (state !== 'CONNECTED') {
-                console.log(`Removing disconnected session: ${userId}`);
-                await client.destroy();
-                whatsappClients.delete(userId);
-                clientStates.delete(userId);
-                activeSessionsCount--;
-            }
-        } catch (error) {
-            console.error(`Error checking session ${userId}:`, error.message);
-            // If error checking, assume dead
-            whatsappClients.delete(userId);
-            clientStates.delete(userId);
-            activeSessionsCount--;
-        }
-    }
-    
-    console.log(`✅ Cleanup done. Active sessions: ${activeSessionsCount}/${MAX_CONCURRENT_SESSIONS}`);
-}, 60 * 60 * 1000); // Every hour
-
-// ============================================
-// AUTHENTICATED ENDPOINTS
-// ============================================
-
-app.get('/qr', authenticateUser, async (req, res) => {
-    try {
-        const userId = req.user.id;
-        await getWhatsAppClient(userId);
-        const state = clientStates.get(userId) || { qr: '', ready: false };
-        res.json({ qr: state.qr, ready: state.ready });
-    } catch (error) {
-        if (error.message.includes('at capacity')) {
-            res.status(503).json({ 
-                error: error.message,
-                active: activeSessionsCount,
-                max: MAX_CONCURRENT_SESSIONS
-            });
-        } else {
-            res.status(500).json({ error: error.message });
-        }
-    }
-});
+// WhatsApp ack levels as sent in message_ack events
+const MESSAGE_ACK_NAMES = {
+    '-1': 'error',
+    0: 'pending',
+    1: 'sent',
+    2: 'delivered',
+    3: 'read',
+    4: 'played'
+};
 
-app.get('/chats', authenticateUser, async (req, res) => {
-    const userId = req.user.id;
-    const state = clientStates.get(userId);
-    if (!state) {
-        return res.json({ chats: [], connected: false });
-    }
-    res.json({ chats: state.chats, connected: state.ready });
-});
+// Timestamp column set when a message reaches an ack level
+const MESSAGE_ACK_COLUMNS = {
+    2: 'delivered_at',
+    3: 'read_at',
+    4: 'played_at'
+};
 
-app.get('/messages/:chatId', authenticateUser, async (req, res) => {
+// Store the ack level of one of our messages in `message_acks`. Acks only
+// move forward: a late or out-of-order event never lowers the stored level
+async function recordMessageAck(userId, message, ack) {
     try {
-        const userId = req.user.id;
-        const chatId = req.params.chatId;
-        const client = whatsappClients.get(userId);
+        const now = new Date().toISOString();
+        const messageId = message.id._serialized;
+        const update = { ack, updated_at: now };
         
-        if (!client) {
-            return res.status(503).json({ error: 'WhatsApp not connected' });
+        if (MESSAGE_ACK_COLUMNS[ack]) {
+            update[MESSAGE_ACK_COLUMNS[ack]] = now;
         }
         
-        const chat = await client.getChatById(chatId);
-        const messages = await chat.fetchMessages({ limit: 50 });
+        // An error can only replace pending / sent
+        let ackQuery = supabase
+            .from('message_acks')
+            .update(update)
+            .eq('user_id', userId)
+            .eq('message_id', messageId);
         
-        const formattedMessages = await Promise.all(messages.map(async (msg) => {
-            let mediaData = null;
-            
-            if (msg.hasMedia) {
-                try {
-                    const media = await msg.downloadMedia();
-                    if (media) {
-                        mediaData = {
-                            mimetype: media.mimetype,
-                            data: media.data,
-                            filename: media.filename
-                        };
-                    }
-                } catch (error) {
-                    console.error('Error downloading media:', error.message);
-                }
-            }
-            
-            return {
-                id: msg.id._serialized,
-                body: msg.body,
-                fromMe: msg.fromMe,
-                timestamp: msg.timestamp,
-                sender: msg.author || msg.from,
-                hasMedia: msg.hasMedia,
-                media: mediaData
-            };
-        }));
+        ackQuery = ack === -1 ? ackQuery.in('ack', [0, 1]) : ackQuery.lt('ack', ack);
         
-        res.json({ messages: formattedMessages });
-    } catch (error) {
-        console.error('Error fetching messages:', error);
-        res.status(500).json({ error: 'Failed to fetch messages', details: error.message });
-    }
-});
-
-app.post('/send-message', 
-    authenticateUser, 
-    messageLimiter,
-    [
-        body('chatId')
-            .trim()
-            .notEmpty().withMessage('Chat ID is required')
-            .matches(/^[\d\-]+@[cg]\.us$/).withMessage('Invalid chat ID format'),
-        body('message')
-            .trim()
-            .notEmpty().withMessage('Message cannot be empty')
-            .isLength({ max: 4096 }).withMessage('Message too long (max 4096 chars)')
-    ],
-    validate,
-    async (req, res) => {
-    try {
-        const userId = req.user.id;
-        const { chatId, message } = req.body;
+        const { data: updated, error } = await ackQuery.select('id');
         
-        if (!chatId || !message) {
-            return res.status(400).json({ error: 'chatId and message are required' });
+        if (error) {
+            throw error;
         }
         
-        const client = whatsappClients.get(userId);
-        
-        if (!client) {
-            return res.status(503).json({ error: 'WhatsApp not connected' });
+        if (updated.length > 0) {
+            return;
         }
         
-        await client.sendMessage(chatId, message);
+        // Not tracked yet (or already further along, then this is a no-op)
+        const { error: insertError } = await supabase
+            .from('message_acks')
+            .upsert({
+                user_id: userId,
+                message_id: messageId,
+                chat_id: message.to,
+                sent_at: new Date(message.timestamp * 1000).toISOString(),
+                created_at: now,
+                ...update
+            }, { onConflict: 'user_id,message_id', ignoreDuplicates: true });
         
-        console.log(`✅ Message sent for user ${userId} to ${chatId}`);
-        res.json({ success: true, message: 'Message sent successfully' });
+        if (insertError) {
+            throw insertError;
+        }
     } catch (error) {
-        console.error('Error sending message:', error);
-        res.status(500).json({ error: 'Failed to send message', details: error.message });
+        console.error(`⚠️ Failed to record ack for user ${userId}:`, error.message);
     }
-});
+}
 
-app.post('/send-media', authenticateUser, async (req, res) => {
-    try {
-        const userId = req.user.id;
-        const { chatId, mediaData, mimeType, caption, filename } = req.body;
+function formatMessageStatus(messageId, row) {
+    return {
+        id: messageId,
+        chatId: row.chat_id,
+        ack: row.ack,
+        status: MESSAGE_ACK_NAMES[row.ack] || 'unknown',
+        sentAt: row.sent_at,
+        deliveredAt: row.delivered_at,
+        readAt: row.read_at,
+        playedAt: row.played_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Webhook payload for message_received / message_create. Media is sent as
+// a short-lived download link; files up to the user's inline limit are
+// also embedded as base64
+async function buildMessageWebhookData(userId, message) {
+    const data = {
+        id: message.id._serialized,
+        from: message.from,
+        to: message.to,
+        body: message.body,
+        type: message.type,
+        timestamp: message.timestamp,
+        fromMe: message.fromMe,
+        hasMedia: message.hasMedia,
+        hasQuotedMsg: message.hasQuotedMsg,
+        isGroup: message.from.endsWith('@g.us') || message.to.endsWith('@g.us'),
+        author: message.author,
+        chatName: message._data.notifyName || 'Unknown',
+        ...getRichMessageData(message)
+    };
+    
+    // A location's body is its map thumbnail, not text
+    if (data.location) {
+        data.body = '';
+    }
+    
+    if (message.hasMedia) {
+        const filesize = message._data.size || null;
+        const link = createMediaLink(userId, message.id._serialized);
         
-        if (!chatId || !mediaData || !mimeType) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'chatId, mediaData, and mimeType are required' 
-            });
-        }
+        data.media = {
+            url: link.url,
+            expiresAt: link.expiresAt,
+            mimetype: message._data.mimetype || null,
+            filename: message._data.filename || null,
+            filesize
+        };
         
-        const client = whatsappClients.get(userId);
+        const inlineMax = userWebhooks.get(userId)?.session.webhook_media_inline_max_bytes || 0;
         
-        if (!client) {
-            return res.status(503).json({ 
-                success: false,
-                error: 'WhatsApp not connected' 
-            });
+        // Download and embed small media if the user opted in
+        if (inlineMax > 0 && filesize && filesize <= inlineMax) {
+            try {
+                console.log(`📎 Downloading media for webhook...`);
+                const media = await message.downloadMedia();
+                
+                if (media) {
+                    data.media.mimetype = media.mimetype;
+                    data.media.data = media.data; // Base64 string
+                    data.media.filename = media.filename || data.media.filename || 'file';
+                    console.log(`✅ Media downloaded: ${media.mimetype}, size: ${filesize} bytes`);
+                }
+            } catch (error) {
+                console.error(`❌ Failed to download media: ${error.message}`);
+                data.mediaError = error.message;
+            }
+        }
+    }
+    
+    return data;
+}
+
+// Webhook payload for group_join / group_leave
+function buildGroupWebhookData(notification) {
+    return {
+        id: notification.id._serialized,
+        chatId: notification.chatId,
+        author: notification.author,
+        recipients: notification.recipientIds,
+        type: notification.type, // add, invite, join / remove, leave
+        timestamp: notification.timestamp
+    };
+}
+
+// ============================================
+// MESSAGE ARCHIVE
+// ============================================
+
+// Every incoming and outgoing message is kept in `message_archive`, so
+// history survives logouts and lost sessions. MESSAGE_ARCHIVE picks the
+// storage: supabase (default), sqlite (local file) or off
+const MESSAGE_ARCHIVE = (process.env.MESSAGE_ARCHIVE || 'supabase').toLowerCase();
+const MESSAGE_ARCHIVE_SQLITE_PATH = process.env.MESSAGE_ARCHIVE_SQLITE_PATH || './data/messages.sqlite';
+
+const MESSAGE_ARCHIVE_COLUMNS = [
+    'user_id', 'message_id', 'chat_id', 'chat_name', 'sender', 'sender_name', 'from_me', 'type',
+    'body', 'timestamp', 'ack', 'has_media', 'media_mimetype', 'media_filename', 'media_size',
+    'media_duration', 'rich', 'created_at', 'updated_at'
+];
+
+// Columns returned by archive queries
+const MESSAGE_ARCHIVE_FIELDS = [
+    'id', 'message_id', 'chat_id', 'chat_name', 'sender', 'sender_name', 'from_me', 'type',
+    'body', 'timestamp', 'ack', 'has_media', 'media_mimetype', 'media_filename', 'media_size',
+    'media_duration', 'rich', 'edited_at', 'revoked_at'
+];
+
+// Storage adapters share one interface:
+//   saveMessage(record)               - insert, ignored if already archived
+//   updateAck(userId, messageId, ack) - forward-only, like message_acks
+//   updateBody(userId, messageId, body)
+//   markRevoked(userId, messageId)
+//   searchMessages(userId, filters)   - newest first, see GET /search
+//   listMessages(userId, chatId, range) - oldest first, for chat exports
+//   summarizeChat(userId, chatId, range) - { count, chatName } of the range
+function createSupabaseArchive() {
+    async function update(userId, messageId, changes, narrow = query => query) {
+        const { error } = await narrow(supabase
+            .from('message_archive')
+            .update({ ...changes, updated_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .eq('message_id', messageId));
+        
+        if (error) {
+            throw error;
+        }
+    }
+    
+    return {
+        name: 'supabase',
+        
+        async saveMessage(record) {
+            const { error } = await supabase
+                .from('message_archive')
+                .upsert(record, { onConflict: 'user_id,message_id', ignoreDuplicates: true });
+            
+            if (error) {
+                throw error;
+            }
+        },
+        
+        updateAck(userId, messageId, ack) {
+            return update(userId, messageId, { ack }, query =>
+                ack === -1 ? query.in('ack', [0, 1]) : query.lt('ack', ack));
+        },
+        
+        updateBody(userId, messageId, body) {
+            return update(userId, messageId, { body, edited_at: new Date().toISOString() });
+        },
+        
+        markRevoked(userId, messageId) {
+            return update(userId, messageId, { revoked_at: new Date().toISOString() });
+        },
+        
+        async searchMessages(userId, { terms, chatId, sender, from, to, types, hasMedia, limit, offset }) {
+            // Every term must match, as a word prefix
+            let query = supabase
+                .from('message_archive')
+                .select(MESSAGE_ARCHIVE_FIELDS.join(', '))
+                .eq('user_id', userId)
+                .textSearch('search_vector', terms.map(term => `${term}:*`).join(' & '), { config: 'simple' });
+            
+            if (chatId) query = query.eq('chat_id', chatId);
+            if (sender) query = query.eq('sender', sender);
+            if (from) query = query.gte('timestamp', from);
+            if (to) query = query.lte('timestamp', to);
+            if (types) query = query.in('type', types);
+            if (hasMedia) query = query.eq('has_media', true);
+            
+            const { data, error } = await query
+                .order('timestamp', { ascending: false })
+                .order('id', { ascending: false })
+                .range(offset, offset + limit - 1);
+            
+            if (error) {
+                throw error;
+            }
+            
+            return data;
+        },
+        
+        async listMessages(userId, chatId, { from, to, limit, offset }) {
+            let query = supabase
+                .from('message_archive')
+                .select(MESSAGE_ARCHIVE_FIELDS.join(', '))
+                .eq('user_id', userId)
+                .eq('chat_id', chatId);
+            
+            if (from) query = query.gte('timestamp', from);
+            if (to) query = query.lte('timestamp', to);
+            
+            const { data, error } = await query
+                .order('timestamp', { ascending: true })
+                .order('id', { ascending: true })
+                .range(offset, offset + limit - 1);
+            
+            if (error) {
+                throw error;
+            }
+            
+            return data;
+        },
+        
+        async summarizeChat(userId, chatId, { from, to }) {
+            const inRange = (query) => {
+                query = query.eq('user_id', userId).eq('chat_id', chatId);
+                if (from) query = query.gte('timestamp', from);
+                if (to) query = query.lte('timestamp', to);
+                return query;
+            };
+            
+            const [counted, named] = await Promise.all([
+                inRange(supabase.from('message_archive').select('id', { count: 'exact', head: true })),
+                inRange(supabase.from('message_archive').select('chat_name'))
+                    .not('chat_name', 'is', null)
+                    .order('timestamp', { ascending: false })
+                    .limit(1)
+            ]);
+            
+            if (counted.error || named.error) {
+                throw counted.error || named.error;
+            }
+            
+            return { count: counted.count || 0, chatName: named.data[0]?.chat_name || null };
+        }
+    };
+}
+
+function createSqliteArchive(filename) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        throw new Error('MESSAGE_ARCHIVE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+    
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        create table if not exists message_archive (
+            id integer primary key autoincrement,
+            user_id text not null,
+            message_id text not null,
+            chat_id text not null,
+            chat_name text,
+            sender text,
+            sender_name text,
+            from_me integer not null default 0,
+            type text,
+            body text not null default '',
+            timestamp text not null,
+            ack integer not null default 0,
+            has_media integer not null default 0,
+            media_mimetype text,
+            media_filename text,
+            media_size integer,
+            media_duration integer,
+            rich text,
+            edited_at text,
+            revoked_at text,
+            created_at text not null,
+            updated_at text not null,
+            unique (user_id, message_id)
+        );
+        create index if not exists message_archive_chat on message_archive (user_id, chat_id, timestamp);
+    `);
+    
+    // Archives created before chat names were stored
+    if (!db.prepare('pragma table_info(message_archive)').all().some(column => column.name === 'chat_name')) {
+        db.exec('alter table message_archive add column chat_name text');
+    }
+    
+    // Full-text index over bodies (incl. captions), sender and chat names,
+    // kept in sync with the table by triggers
+    const hasSearchIndex = !!db.prepare(`select 1 from sqlite_master where name = 'message_archive_fts'`).get();
+    db.exec(`
+        create virtual table if not exists message_archive_fts using fts5(
+            body, sender_name, chat_name, content = 'message_archive', content_rowid = 'id'
+        );
+        create trigger if not exists message_archive_fts_insert after insert on message_archive begin
+            insert into message_archive_fts (rowid, body, sender_name, chat_name)
+            values (new.id, new.body, new.sender_name, new.chat_name);
+        end;
+        create trigger if not exists message_archive_fts_delete after delete on message_archive begin
+            insert into message_archive_fts (message_archive_fts, rowid, body, sender_name, chat_name)
+            values ('delete', old.id, old.body, old.sender_name, old.chat_name);
+        end;
+        create trigger if not exists message_archive_fts_update after update of body, sender_name, chat_name on message_archive begin
+            insert into message_archive_fts (message_archive_fts, rowid, body, sender_name, chat_name)
+            values ('delete', old.id, old.body, old.sender_name, old.chat_name);
+            insert into message_archive_fts (rowid, body, sender_name, chat_name)
+            values (new.id, new.body, new.sender_name, new.chat_name);
+        end;
+    `);
+    
+    if (!hasSearchIndex) {
+        db.exec(`insert into message_archive_fts (message_archive_fts) values ('rebuild')`);
+    }
+    
+    // SQLite has no booleans or json: store 0/1 and text
+    const insert = db.prepare(`
+        insert into message_archive (${MESSAGE_ARCHIVE_COLUMNS.join(', ')})
+        values (${MESSAGE_ARCHIVE_COLUMNS.map(column => '@' + column).join(', ')})
+        on conflict (user_id, message_id) do nothing
+    `);
+    const ackUpdate = db.prepare(`
+        update message_archive set ack = @ack, updated_at = @now
+        where user_id = @userId and message_id = @messageId
+          and (case when @ack = -1 then ack in (0, 1) else ack < @ack end)
+    `);
+    const bodyUpdate = db.prepare(`
+        update message_archive set body = @body, edited_at = @now, updated_at = @now
+        where user_id = @userId and message_id = @messageId
+    `);
+    const revokeUpdate = db.prepare(`
+        update message_archive set revoked_at = @now, updated_at = @now
+        where user_id = @userId and message_id = @messageId
+    `);
+    const search = db.prepare(`
+        select ${MESSAGE_ARCHIVE_FIELDS.map(column => 'm.' + column).join(', ')}
+        from message_archive_fts f
+        join message_archive m on m.id = f.rowid
+        where message_archive_fts match @match
+          and m.user_id = @userId
+          and (@chatId is null or m.chat_id = @chatId)
+          and (@sender is null or m.sender = @sender)
+          and (@from is null or m.timestamp >= @from)
+          and (@to is null or m.timestamp <= @to)
+          and (@types is null or m.type in (select value from json_each(@types)))
+          and (@hasMedia = 0 or m.has_media = 1)
+        order by m.timestamp desc, m.id desc
+        limit @limit offset @offset
+    `);
+    const list = db.prepare(`
+        select ${MESSAGE_ARCHIVE_FIELDS.join(', ')}
+        from message_archive
+        where user_id = @userId
+          and chat_id = @chatId
+          and (@from is null or timestamp >= @from)
+          and (@to is null or timestamp <= @to)
+        order by timestamp, id
+        limit @limit offset @offset
+    `);
+    
+    const summary = db.prepare(`
+        with in_range as (
+            select timestamp, chat_name
+            from message_archive
+            where user_id = @userId
+              and chat_id = @chatId
+              and (@from is null or timestamp >= @from)
+              and (@to is null or timestamp <= @to)
+        )
+        select (select count(*) from in_range) as count,
+               (select chat_name from in_range where chat_name is not null
+                order by timestamp desc limit 1) as chatName
+    `);
+    
+    const fromRow = row => ({
+        ...row,
+        from_me: !!row.from_me,
+        has_media: !!row.has_media,
+        rich: row.rich ? JSON.parse(row.rich) : null
+    });
+    
+    const now = () => new Date().toISOString();
+    
+    return {
+        name: 'sqlite',
+        
+        async saveMessage(record) {
+            insert.run({
+                ...record,
+                from_me: record.from_me ? 1 : 0,
+                has_media: record.has_media ? 1 : 0,
+                rich: record.rich ? JSON.stringify(record.rich) : null
+            });
+        },
+        
+        async updateAck(userId, messageId, ack) {
+            ackUpdate.run({ userId, messageId, ack, now: now() });
+        },
+        
+        async updateBody(userId, messageId, body) {
+            bodyUpdate.run({ userId, messageId, body, now: now() });
+        },
+        
+        async markRevoked(userId, messageId) {
+            revokeUpdate.run({ userId, messageId, now: now() });
+        },
+        
+        async searchMessages(userId, { terms, chatId, sender, from, to, types, hasMedia, limit, offset }) {
+            return search.all({
+                // Quoted terms, each as a prefix: "inv"* "2024"*
+                match: terms.map(term => `"${term}"*`).join(' '),
+                userId,
+                chatId: chatId || null,
+                sender: sender || null,
+                from: from || null,
+                to: to || null,
+                types: types ? JSON.stringify(types) : null,
+                hasMedia: hasMedia ? 1 : 0,
+                limit,
+                offset
+            }).map(fromRow);
+        },
+        
+        async listMessages(userId, chatId, { from, to, limit, offset }) {
+            return list.all({ userId, chatId, from: from || null, to: to || null, limit, offset }).map(fromRow);
+        },
+        
+        async summarizeChat(userId, chatId, { from, to }) {
+            return summary.get({ userId, chatId, from: from || null, to: to || null });
+        },
+        
+        close() {
+            db.close();
+        }
+    };
+}
+
+function createMessageArchive() {
+    switch (MESSAGE_ARCHIVE) {
+        case 'off':
+            return null;
+        case 'supabase':
+            return createSupabaseArchive();
+        case 'sqlite':
+            return createSqliteArchive(MESSAGE_ARCHIVE_SQLITE_PATH);
+        default:
+            throw new Error(`Unknown MESSAGE_ARCHIVE "${MESSAGE_ARCHIVE}" (use supabase, sqlite or off)`);
+    }
+}
+
+let messageArchive;
+try {
+    messageArchive = createMessageArchive();
+    console.log(`🗄️ Message archive: ${messageArchive ? messageArchive.name : 'off'}`);
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+function buildArchiveRecord(userId, message) {
+    const now = new Date().toISOString();
+    const rich = getRichMessageData(message);
+    const chatId = message.fromMe ? message.to : message.from;
+    const chat = clientStates.get(userId)?.chats?.find(item => item.id === chatId);
+    
+    return {
+        user_id: userId,
+        message_id: message.id._serialized,
+        chat_id: chatId,
+        // New 1:1 chats aren't in the chat list yet, their name is the sender's
+        chat_name: chat?.name || (!message.fromMe && !message.author ? message._data.notifyName || null : null),
+        sender: message.fromMe ? message.from : (message.author || message.from),
+        sender_name: message.fromMe ? null : (message._data.notifyName || null),
+        from_me: !!message.fromMe,
+        type: message.type,
+        // A location's body is its map thumbnail, not text
+        body: rich?.location ? '' : (message.body || ''),
+        timestamp: new Date(message.timestamp * 1000).toISOString(),
+        ack: message.ack ?? 0,
+        has_media: !!message.hasMedia,
+        media_mimetype: message.hasMedia ? (message._data.mimetype || null) : null,
+        media_filename: message.hasMedia ? (message._data.filename || null) : null,
+        media_size: message.hasMedia ? (message._data.size || null) : null,
+        media_duration: message.hasMedia && message.duration ? Number(message.duration) : null,
+        rich,
+        created_at: now,
+        updated_at: now
+    };
+}
+
+// Archived row in the shape of GET /messages entries, plus chat and
+// edit / delete details
+function formatArchivedMessage(row) {
+    return {
+        id: row.message_id,
+        chatId: row.chat_id,
+        chatName: row.chat_name,
+        type: row.type,
+        body: row.body,
+        fromMe: row.from_me,
+        timestamp: Math.floor(new Date(row.timestamp).getTime() / 1000),
+        sender: row.sender,
+        senderName: row.sender_name,
+        ack: row.from_me ? row.ack : null,
+        hasMedia: row.has_media,
+        media: row.has_media ? {
+            url: `/messages/${encodeURIComponent(row.chat_id)}/${encodeURIComponent(row.message_id)}/media`,
+            mimetype: row.media_mimetype,
+            filename: row.media_filename,
+            filesize: row.media_size,
+            duration: row.media_duration
+        } : null,
+        editedAt: row.edited_at,
+        revokedAt: row.revoked_at,
+        ...row.rich
+    };
+}
+
+// Archive writes never break event handling, failures are only logged
+async function archiveMessage(userId, message) {
+    if (!messageArchive || message.from === 'status@broadcast') return;
+    
+    try {
+        await messageArchive.saveMessage(buildArchiveRecord(userId, message));
+    } catch (error) {
+        console.error(`⚠️ Failed to archive message for user ${userId}:`, error.message);
+    }
+}
+
+async function updateArchivedMessage(userId, action, ...args) {
+    if (!messageArchive) return;
+    
+    try {
+        await messageArchive[action](userId, ...args);
+    } catch (error) {
+        console.error(`⚠️ Failed to update archived message for user ${userId}:`, error.message);
+    }
+}
+
+// ============================================
+// WEBHOOK DELIVERY QUEUE
+// ============================================
+
+// Deliveries are persisted in `webhook_deliveries` and retried with
+// exponential backoff, so a receiver outage doesn't lose messages
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_RETRY_BASE_MS = 10 * 1000; // 10s, 20s, 40s, ...
+const WEBHOOK_RETRY_MAX_MS = 60 * 60 * 1000; // Cap backoff at 1 hour
+const WEBHOOK_TIMEOUT_MS = 15 * 1000;
+const WEBHOOK_QUEUE_BATCH = 100;
+const WEBHOOK_QUEUE_INTERVAL_MS = 5 * 1000;
+
+let webhookQueueRunning = false;
+let webhookQueueRequested = false;
+
+// Event types an endpoint can subscribe to
+const WEBHOOK_EVENTS = [
+    'message_received',
+    'message_create',
+    'message_ack',
+    'message_revoke_everyone',
+    'message_edit',
+    'message_reaction',
+    'group_join',
+    'group_leave',
+    'incoming_call',
+    'session_qr',
+    'session_authenticated',
+    'session_auth_failure',
+    'session_ready',
+    'session_state',
+    'session_disconnected'
+];
+
+// Load the user's webhook endpoints into memory. The legacy single URL from
+// `whatsapp_sessions` is kept as the "Default" endpoint (id null, all events)
+async function loadUserWebhooks(userId) {
+    const [{ data: session }, { data: endpoints, error }] = await Promise.all([
+        supabase
+            .from('whatsapp_sessions')
+            .select('webhook_url, webhook_enabled, webhook_secret, webhook_secret_previous, webhook_secret_previous_expires_at, webhook_media_inline_max_bytes')
+            .eq('user_id', userId)
+            .maybeSingle(),
+        supabase
+            .from('webhook_endpoints')
+            .select('id, name, url, events, chat_ids, filters')
+            .eq('user_id', userId)
+            .eq('enabled', true)
+            .order('created_at', { ascending: true })
+    ]);
+    
+    if (error) {
+        console.error(`⚠️ Failed to load webhook endpoints for user ${userId}:`, error.message);
+    }
+    
+    const webhook = {
+        session: session || {},
+        endpoints: []
+    };
+    
+    if (session && session.webhook_enabled && session.webhook_url) {
+        webhook.endpoints.push({
+            id: null,
+            name: 'Default',
+            url: session.webhook_url,
+            events: null,
+            chatIds: null,
+            filters: null
+        });
+    }
+    
+    for (const endpoint of endpoints || []) {
+        webhook.endpoints.push({
+            id: endpoint.id,
+            name: endpoint.name,
+            url: endpoint.url,
+            events: endpoint.events && endpoint.events.length ? endpoint.events : null,
+            chatIds: endpoint.chat_ids && endpoint.chat_ids.length ? endpoint.chat_ids : null,
+            filters: compileWebhookFilters(endpoint.filters)
+        });
+    }
+    
+    userWebhooks.set(userId, webhook);
+    
+    if (webhook.endpoints.length > 0) {
+        console.log(`🔗 Loaded ${webhook.endpoints.length} webhook endpoint(s) for user ${userId}`);
+    }
+    
+    return webhook;
+}
+
+// Get webhook config from memory, falling back to the database
+// (needed after a restart, before the user's client is recreated)
+async function getUserWebhook(userId) {
+    if (userWebhooks.has(userId)) {
+        return userWebhooks.get(userId);
+    }
+    
+    return loadUserWebhooks(userId);
+}
+
+// Turn the stored `filters` JSON into something cheap to evaluate.
+// Returns null when the endpoint has no filter rules
+function compileWebhookFilters(filters) {
+    if (!filters || typeof filters !== 'object') {
+        return null;
+    }
+    
+    const toDigits = (list) => Array.isArray(list)
+        ? list.map(number => String(number).replace(/\D/g, '')).filter(Boolean)
+        : [];
+    
+    const compiled = {
+        chatType: ['direct', 'group'].includes(filters.chatType) ? filters.chatType : 'all',
+        allowNumbers: toDigits(filters.allowNumbers),
+        denyNumbers: toDigits(filters.denyNumbers),
+        keywords: Array.isArray(filters.keywords)
+            ? filters.keywords.map(keyword => String(keyword).trim().toLowerCase()).filter(Boolean)
+            : [],
+        regex: null,
+        hasMedia: typeof filters.hasMedia === 'boolean' ? filters.hasMedia : null,
+        fromMe: typeof filters.fromMe === 'boolean' ? filters.fromMe : null
+    };
+    
+    // Rows saved before the safety check may hold patterns that backtrack
+    // catastrophically, and they run on every incoming message
+    if (filters.regex) {
+        try {
+            if (!safeRegex(filters.regex)) {
+                throw new Error('pattern has nested repetition');
+            }
+            compiled.regex = new RegExp(filters.regex, 'i');
+        } catch (error) {
+            console.error(`⚠️ Ignoring invalid webhook filter regex: ${error.message}`);
+        }
+    }
+    
+    const isEmpty = compiled.chatType === 'all'
+        && !compiled.allowNumbers.length
+        && !compiled.denyNumbers.length
+        && !compiled.keywords.length
+        && !compiled.regex
+        && compiled.hasMedia === null
+        && compiled.fromMe === null;
+    
+    return isEmpty ? null : compiled;
+}
+
+// The other party of a message: the sender for incoming messages (the
+// author inside groups), the recipient for our own
+function getFilterContact(chatId, data) {
+    if (data && (data.from || data.to)) {
+        return data.fromMe ? data.to : (data.author || data.from);
+    }
+    
+    return chatId && chatId.endsWith('@c.us') ? chatId : null;
+}
+
+// Why this endpoint would not receive the event, or null if it would.
+// Without `data` only the rules that don't need the payload are checked;
+// content rules (keywords, regex, media, fromMe) only apply to messages
+function getEndpointRejection(endpoint, event, chatId, data = null) {
+    if (endpoint.events && !endpoint.events.includes(event)) {
+        return `Endpoint is not subscribed to ${event}`;
+    }
+    
+    // Events without a chat (session events) ignore the chat filters
+    if (endpoint.chatIds && chatId && !endpoint.chatIds.includes(chatId)) {
+        return 'Chat is not in the endpoint\'s chat list';
+    }
+    
+    const filters = endpoint.filters;
+    
+    if (!filters || !chatId) {
+        return null;
+    }
+    
+    const isGroup = chatId.endsWith('@g.us');
+    
+    if (filters.chatType === 'direct' && isGroup) {
+        return 'Group chats are filtered out';
+    }
+    
+    if (filters.chatType === 'group' && !isGroup) {
+        return 'Direct chats are filtered out';
+    }
+    
+    const contact = getFilterContact(chatId, data);
+    
+    if (contact) {
+        const number = contact.split('@')[0].replace(/\D/g, '');
+        
+        if (filters.denyNumbers.includes(number)) {
+            return `Number ${number} is on the deny list`;
+        }
+        
+        if (filters.allowNumbers.length && !filters.allowNumbers.includes(number)) {
+            return `Number ${number} is not on the allow list`;
+        }
+    }
+    
+    if (!data || !['message_received', 'message_create'].includes(event)) {
+        return null;
+    }
+    
+    if (filters.fromMe !== null && !!data.fromMe !== filters.fromMe) {
+        return filters.fromMe ? 'Only messages sent by you are allowed' : 'Messages sent by you are filtered out';
+    }
+    
+    if (filters.hasMedia !== null && !!data.hasMedia !== filters.hasMedia) {
+        return filters.hasMedia ? 'Only messages with media are allowed' : 'Messages with media are filtered out';
+    }
+    
+    const text = (data.body || '').toLowerCase();
+    
+    if (filters.keywords.length && !filters.keywords.some(keyword => text.includes(keyword))) {
+        return 'Message does not contain any of the keywords';
+    }
+    
+    if (filters.regex && !filters.regex.test(data.body || '')) {
+        return 'Message does not match the regex';
+    }
+    
+    return null;
+}
+
+// Does this endpoint want this event for this chat?
+function endpointMatches(endpoint, event, chatId, data = null) {
+    return getEndpointRejection(endpoint, event, chatId, data) === null;
+}
+
+// Cheap check before building a payload (e.g. downloading media)
+function hasWebhookSubscribers(userId, event, chatId) {
+    const webhook = userWebhooks.get(userId);
+    return !!webhook && webhook.endpoints.some(endpoint => endpointMatches(endpoint, event, chatId));
+}
+
+// Queue an event if any endpoint subscribes to it. `data` may be a function
+// so expensive payloads (media downloads) are only built when needed
+async function emitWebhookEvent(userId, event, chatId, data) {
+    try {
+        if (!hasWebhookSubscribers(userId, event, chatId)) {
+            return;
+        }
+        
+        const payload = typeof data === 'function' ? await data() : data;
+        
+        await sendToWebhook(userId, {
+            event,
+            timestamp: new Date().toISOString(),
+            data: payload
+        });
+    } catch (error) {
+        console.error(`❌ Failed to emit ${event} webhook for user ${userId}:`, error.message);
+    }
+}
+
+// Deliveries for the same chat are sent in order; events without a chat are unordered
+function getOrderingKey(webhookData) {
+    const data = webhookData.data || {};
+    return data.chatId || (data.fromMe ? data.to : data.from) || null;
+}
+
+function getRetryDelay(attempts) {
+    return Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_MS);
+}
+
+// Function to send data to user's webhooks (queued, delivered in background).
+// Pass `endpointIds` to target specific endpoints regardless of subscriptions
+async function sendToWebhook(userId, webhookData, endpointIds = null) {
+    const webhook = userWebhooks.get(userId);
+    const orderingKey = getOrderingKey(webhookData);
+    
+    const endpoints = !webhook ? [] : webhook.endpoints.filter(endpoint => endpointIds
+        ? endpointIds.includes(endpoint.id)
+        : endpointMatches(endpoint, webhookData.event, orderingKey, webhookData.data));
+    
+    if (endpoints.length === 0) {
+        console.log(`ℹ️ No webhook configured for user: ${userId}`);
+        return 0;
+    }
+    
+    const { error } = await supabase.from('webhook_deliveries').insert(endpoints.map(endpoint => ({
+        user_id: userId,
+        endpoint_id: endpoint.id,
+        event: webhookData.event,
+        ordering_key: orderingKey,
+        payload: webhookData,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString()
+    })));
+    
+    if (error) {
+        console.error('❌ Failed to queue webhook delivery:', error.message);
+        return 0;
+    }
+    
+    console.log(`📥 Webhook queued for user ${userId}: ${webhookData.event} → ${endpoints.length} endpoint(s)`);
+    processWebhookQueue();
+    return endpoints.length;
+}
+
+// Make one delivery attempt. Returns { ok, status, error }
+async function deliverWebhook(delivery) {
+    const webhook = await getUserWebhook(delivery.user_id);
+    const endpoint = webhook.endpoints.find(e => e.id === (delivery.endpoint_id ?? null));
+    
+    if (!endpoint) {
+        return { ok: false, error: 'Webhook endpoint disabled or removed', permanent: true };
+    }
+    
+    try {
+        console.log(`📤 Sending to webhook "${endpoint.name}" for user ${delivery.user_id}:`, endpoint.url);
+        
+        // Sign the exact bytes we send, with a timestamp for replay protection
+        const rawBody = JSON.stringify(refreshMediaLink(delivery.user_id, delivery.payload));
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Delivery': String(delivery.id)
+        };
+        
+        // During a secret rotation grace period the previous secret's signature
+        // goes in its own header, so X-Webhook-Signature is always one value
+        const [secret, previousSecret] = getValidWebhookSecrets(webhook.session);
+        
+        if (secret) {
+            headers['X-Webhook-Signature'] = `sha256=${signWebhookPayload(secret, timestamp, rawBody)}`;
+            
+            if (previousSecret) {
+                headers['X-Webhook-Signature-Previous'] = `sha256=${signWebhookPayload(previousSecret, timestamp, rawBody)}`;
+            }
+        } else {
+            console.warn(`⚠️ No webhook secret for user ${delivery.user_id}, sending unsigned`);
+        }
+        
+        const response = await fetch(endpoint.url, {
+            method: 'POST',
+            headers,
+            body: rawBody,
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        
+        if (!response.ok) {
+            return { ok: false, status: response.status, error: `HTTP ${response.status}` };
+        }
+        
+        return { ok: true, status: response.status };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+}
+
+// Attempt a delivery and record the outcome (delivered, retry later, or dead)
+async function attemptWebhookDelivery(delivery) {
+    const attempts = delivery.attempts + 1;
+    const result = await deliverWebhook(delivery);
+    const now = new Date();
+    
+    const update = {
+        attempts,
+        last_status: result.status ? result.status.toString() : null,
+        last_error: result.error || null,
+        updated_at: now.toISOString()
+    };
+    
+    if (result.ok) {
+        update.status = 'delivered';
+        update.delivered_at = now.toISOString();
+        console.log(`✅ Webhook delivered: ${result.status}`);
+    } else if (result.permanent || attempts >= WEBHOOK_MAX_ATTEMPTS) {
+        update.status = 'dead';
+        console.error(`💀 Webhook delivery ${delivery.id} dead after ${attempts} attempts: ${result.error}`);
+    } else {
+        update.next_attempt_at = new Date(now.getTime() + getRetryDelay(attempts)).toISOString();
+        console.error(`❌ Webhook error (attempt ${attempts}/${WEBHOOK_MAX_ATTEMPTS}): ${result.error}`);
+    }
+    
+    await supabase
+        .from('webhook_deliveries')
+        .update(update)
+        .eq('id', delivery.id);
+    
+    // Log webhook call
+    await supabase.from('webhook_logs').insert({
+        user_id: delivery.user_id,
+        endpoint_id: delivery.endpoint_id ?? null,
+        delivery_id: delivery.id,
+        direction: 'incoming',
+        status: result.ok ? result.status.toString() : 'failed',
+        payload: delivery.payload,
+        response: result.ok
+            ? { status: result.status, attempt: attempts }
+            : { status: result.status, error: result.error, attempt: attempts }
+    });
+}
+
+// Whether a delivery is the oldest pending one of its ordering key
+async function isNextWebhookDelivery(delivery) {
+    let query = supabase
+        .from('webhook_deliveries')
+        .select('id')
+        .eq('status', 'pending')
+        .eq('user_id', delivery.user_id)
+        .eq('ordering_key', delivery.ordering_key);
+    
+    query = delivery.endpoint_id === null
+        ? query.is('endpoint_id', null)
+        : query.eq('endpoint_id', delivery.endpoint_id);
+    
+    const { data, error } = await query
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(1);
+    
+    if (error) {
+        throw error;
+    }
+    
+    return data.length > 0 && data[0].id === delivery.id;
+}
+
+// Process due deliveries. Only the oldest pending delivery per chat and
+// endpoint is attempted, so later messages wait until earlier ones are
+// delivered or dead (a down endpoint doesn't hold up the others)
+async function processWebhookQueue() {
+    if (webhookQueueRunning) {
+        webhookQueueRequested = true;
+        return;
+    }
+    
+    webhookQueueRunning = true;
+    
+    try {
+        do {
+            webhookQueueRequested = false;
+            
+            // Only due deliveries, so one user's backed-off retries can't
+            // fill every batch and hold up everyone else
+            const { data: due, error } = await supabase
+                .from('webhook_deliveries')
+                .select('*')
+                .eq('status', 'pending')
+                .lte('next_attempt_at', new Date().toISOString())
+                .order('next_attempt_at', { ascending: true })
+                .limit(WEBHOOK_QUEUE_BATCH);
+            
+            if (error) {
+                throw error;
+            }
+            
+            const checkedKeys = new Set();
+            
+            // Oldest first, so deliveries of one chat go out in order
+            due.sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id);
+            
+            for (const delivery of due) {
+                if (delivery.ordering_key) {
+                    const key = `${delivery.user_id}:${delivery.endpoint_id}:${delivery.ordering_key}`;
+                    if (checkedKeys.has(key)) continue;
+                    checkedKeys.add(key);
+                    
+                    // An older delivery of the same chat (e.g. waiting for a
+                    // retry) goes first
+                    if (!await isNextWebhookDelivery(delivery)) continue;
+                }
+                
+                await attemptWebhookDelivery(delivery);
+            }
+        } while (webhookQueueRequested);
+    } catch (error) {
+        console.error('❌ Webhook queue error:', error.message);
+    } finally {
+        webhookQueueRunning = false;
+    }
+}
+
+// Poll for retries (also picks up deliveries left pending by a restart)
+setInterval(processWebhookQueue, WEBHOOK_QUEUE_INTERVAL_MS);
+
+// ============================================
+// MEDIA HELPERS
+// ============================================
+
+const MEDIA_MAX_BYTES = 64 * 1024 * 1024; // Same limit as the chat UI
+const MEDIA_FETCH_TIMEOUT_MS = 30 * 1000;
+const MEDIA_MAX_REDIRECTS = 3;
+
+// Types WhatsApp can send as media or documents
+const MEDIA_ALLOWED_TYPES = [
+    /^image\//,
+    /^video\//,
+    /^audio\//,
+    /^text\/(plain|csv)$/,
+    /^application\/(pdf|zip|msword|rtf|vnd\.ms-[\w.-]+|vnd\.openxmlformats-officedocument\.[\w.-]+)$/
+];
+
+function isAllowedMediaType(mimetype) {
+    return !!mimetype && MEDIA_ALLOWED_TYPES.some(pattern => pattern.test(mimetype));
+}
+
+// Only plain public unicast addresses: no loopback, private, link-local,
+// CGNAT, multicast, reserved or benchmarking ranges, and IPv4-mapped / 6to4
+// style IPv6 forms of them
+function isPublicAddress(address) {
+    try {
+        return ipaddr.process(address).range() === 'unicast';
+    } catch (error) {
+        return false;
+    }
+}
+
+// DNS lookup for media requests: every resolved address must be public, and
+// the socket connects to the address checked here (no second resolution a
+// rebinding host could answer differently)
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { all: true, family: options.family || 0 }).then((addresses) => {
+        if (addresses.length === 0 || !addresses.every(entry => isPublicAddress(entry.address))) {
+            return callback(httpError('Media URL points to a private address'));
+        }
+        
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        
+        callback(null, addresses[0].address, addresses[0].family);
+    }, () => callback(httpError(`Could not resolve media host: ${hostname}`)));
+}
+
+function requestMediaUrl(url) {
+    const client = url.protocol === 'https:' ? https : http;
+    
+    return new Promise((resolve, reject) => {
+        const request = client.get(url, {
+            lookup: lookupPublicAddress,
+            signal: AbortSignal.timeout(MEDIA_FETCH_TIMEOUT_MS)
+        }, resolve);
+        
+        request.on('error', reject);
+    });
+}
+
+// Download media from a public URL into a MessageMedia, enforcing size and
+// type limits. Redirects are followed manually so every hop is checked
+async function fetchMediaFromUrl(mediaUrl, options = {}, redirects = 0) {
+    let url;
+    try {
+        url = new URL(mediaUrl);
+    } catch (error) {
+        throw httpError('Invalid media URL');
+    }
+    
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw httpError('Only http(s) media URLs are allowed');
+    }
+    
+    // IP literals are connected to without a lookup, so check them here
+    const literal = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(literal) && !isPublicAddress(literal)) {
+        throw httpError('Media URL points to a private address');
+    }
+    
+    const response = await requestMediaUrl(url);
+    
+    if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+        response.resume();
+        
+        if (redirects >= MEDIA_MAX_REDIRECTS) {
+            throw httpError('Too many redirects fetching media URL');
+        }
+        return fetchMediaFromUrl(new URL(response.headers.location, url).toString(), options, redirects + 1);
+    }
+    
+    try {
+        return await readMediaResponse(url, response, options);
+    } finally {
+        response.destroy();
+    }
+}
+
+async function readMediaResponse(url, response, options) {
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+        throw httpError(`Media URL returned HTTP ${response.statusCode}`, 502);
+    }
+    
+    const mimetype = options.mimetype ||
+        (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    
+    if (!isAllowedMediaType(mimetype)) {
+        throw httpError(`Unsupported media type: ${mimetype || 'unknown'}`, 415);
+    }
+    
+    if (Number(response.headers['content-length']) > MEDIA_MAX_BYTES) {
+        throw httpError(`Media too large (max ${MEDIA_MAX_BYTES / 1024 / 1024}MB)`, 413);
+    }
+    
+    // Content-Length can be missing or wrong, so count while reading
+    const chunks = [];
+    let size = 0;
+    
+    for await (const chunk of response) {
+        size += chunk.length;
+        if (size > MEDIA_MAX_BYTES) {
+            throw httpError(`Media too large (max ${MEDIA_MAX_BYTES / 1024 / 1024}MB)`, 413);
+        }
+        chunks.push(chunk);
+    }
+    
+    const filename = options.filename ||
+        decodeURIComponent(url.pathname.split('/').pop() || '') ||
+        'file';
+    
+    return new MessageMedia(mimetype, Buffer.concat(chunks).toString('base64'), filename, size);
+}
+
+// Signed, expiring links to message media (GET /media/:token). Tokens are
+// HMAC-signed with SESSION_SECRET, so they survive restarts when it is set
+const MEDIA_LINK_TTL_SECONDS = 60 * 60; // From each webhook delivery attempt, see refreshMediaLink
+const MEDIA_INLINE_LIMIT_BYTES = 5 * 1024 * 1024; // Max a user can opt into inlining
+const MEDIA_LINK_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const PUBLIC_URL = (process.env.PUBLIC_URL || process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+
+if (!process.env.SESSION_SECRET) {
+    console.warn('⚠️ SESSION_SECRET not set - media links will stop working after a restart');
+}
+
+function signMediaToken(payload) {
+    return crypto.createHmac('sha256', MEDIA_LINK_SECRET).update(payload).digest('base64url');
+}
+
+function createMediaLink(userId, messageId) {
+    const expiresAt = Math.floor(Date.now() / 1000) + MEDIA_LINK_TTL_SECONDS;
+    const payload = Buffer.from(JSON.stringify({ u: userId, m: messageId, e: expiresAt })).toString('base64url');
+    
+    return {
+        url: `${PUBLIC_URL}/media/${payload}.${signMediaToken(payload)}`,
+        expiresAt: new Date(expiresAt * 1000).toISOString()
+    };
+}
+
+// Webhook payloads are queued with the link made when the event happened.
+// Each delivery attempt re-signs it, so retries and replays of old events
+// still carry a working link
+function refreshMediaLink(userId, payload) {
+    const media = payload?.data?.media;
+    
+    if (!media?.url || !payload.data.id || !media.url.startsWith(`${PUBLIC_URL}/media/`)) {
+        return payload;
+    }
+    
+    const link = createMediaLink(userId, payload.data.id);
+    return { ...payload, data: { ...payload.data, media: { ...media, url: link.url, expiresAt: link.expiresAt } } };
+}
+
+// Returns { userId, messageId } for a valid, unexpired token, else null
+function verifyMediaToken(token) {
+    const [payload, signature] = token.split('.');
+    
+    if (!payload || !signature || !safeEqual(signature, signMediaToken(payload))) {
+        return null;
+    }
+    
+    try {
+        const { u, m, e } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        
+        if (!e || e < Date.now() / 1000) {
+            return null;
+        }
+        
+        return { userId: u, messageId: m };
+    } catch (error) {
+        return null;
+    }
+}
+
+// On-disk cache of downloaded message media, shared by GET /media/:token and
+// GET /messages/:chatId/:messageId/media, so each file is pulled out of
+// WhatsApp Web once. Least recently used files go once it passes the size limit
+const MEDIA_CACHE_DIR = path.resolve(process.env.MEDIA_CACHE_DIR || './.media_cache');
+const MEDIA_CACHE_MAX_BYTES = (parseInt(process.env.MEDIA_CACHE_MAX_MB, 10) || 500) * 1024 * 1024;
+const mediaDownloads = new Map(); // cache key -> in-flight download
+let mediaCachePruning = false;
+
+fs.mkdirSync(MEDIA_CACHE_DIR, { recursive: true });
+
+function getMediaCachePaths(userId, messageId) {
+    const key = crypto.createHash('sha256').update(`${userId}:${messageId}`).digest('hex');
+    
+    return {
+        key,
+        file: path.join(MEDIA_CACHE_DIR, `${key}.bin`),
+        meta: path.join(MEDIA_CACHE_DIR, `${key}.json`)
+    };
+}
+
+async function readCachedMedia(paths) {
+    try {
+        const meta = JSON.parse(await fs.promises.readFile(paths.meta, 'utf8'));
+        const stats = await fs.promises.stat(paths.file);
+        
+        // Mark as recently used for eviction
+        const now = new Date();
+        await fs.promises.utimes(paths.file, now, now).catch(() => {});
+        
+        return { ...meta, file: paths.file, etag: paths.key.slice(0, 32), size: stats.size };
+    } catch (error) {
+        return null;
+    }
+}
+
+async function downloadToMediaCache(userId, messageId, paths) {
+    const client = whatsappClients.get(userId);
+    
+    if (!client) {
+        throw httpError('WhatsApp not connected', 503);
+    }
+    
+    const message = await client.getMessageById(messageId);
+    
+    if (!message || !message.hasMedia) {
+        return null;
+    }
+    
+    const media = await message.downloadMedia();
+    
+    if (!media) {
+        return null;
+    }
+    
+    const buffer = Buffer.from(media.data, 'base64');
+    const meta = {
+        mimetype: media.mimetype,
+        filename: media.filename || message._data.filename || null
+    };
+    
+    // The file is renamed into place and its metadata written last, so a
+    // reader that finds the metadata always finds the whole file
+    await fs.promises.writeFile(`${paths.file}.tmp`, buffer);
+    await fs.promises.rename(`${paths.file}.tmp`, paths.file);
+    await fs.promises.writeFile(paths.meta, JSON.stringify(meta));
+    
+    pruneMediaCache();
+    
+    return { ...meta, file: paths.file, etag: paths.key.slice(0, 32), size: buffer.length };
+}
+
+// Cached media for a message: { file, size, mimetype, filename, etag }, or
+// null if the message has no (longer any) media. Concurrent requests for the
+// same file share one download
+async function getCachedMedia(userId, messageId) {
+    const paths = getMediaCachePaths(userId, messageId);
+    const cached = await readCachedMedia(paths);
+    
+    if (cached) {
+        return cached;
+    }
+    
+    if (!mediaDownloads.has(paths.key)) {
+        mediaDownloads.set(paths.key, downloadToMediaCache(userId, messageId, paths)
+            .finally(() => mediaDownloads.delete(paths.key)));
+    }
+    
+    return mediaDownloads.get(paths.key);
+}
+
+// Remove least recently used files until the cache is 10% under its limit
+async function pruneMediaCache() {
+    if (mediaCachePruning) {
+        return;
+    }
+    
+    mediaCachePruning = true;
+    
+    try {
+        const names = (await fs.promises.readdir(MEDIA_CACHE_DIR)).filter(name => name.endsWith('.bin'));
+        const files = (await Promise.all(names.map(async (name) => {
+            const stats = await fs.promises.stat(path.join(MEDIA_CACHE_DIR, name)).catch(() => null);
+            return stats && { key: name.slice(0, -'.bin'.length), size: stats.size, usedAt: stats.mtimeMs };
+        }))).filter(Boolean);
+        
+        let total = files.reduce((sum, file) => sum + file.size, 0);
+        
+        if (total <= MEDIA_CACHE_MAX_BYTES) {
+            return;
+        }
+        
+        for (const file of files.sort((a, b) => a.usedAt - b.usedAt)) {
+            if (total <= MEDIA_CACHE_MAX_BYTES * 0.9) {
+                break;
+            }
+            
+            await fs.promises.rm(path.join(MEDIA_CACHE_DIR, `${file.key}.json`), { force: true });
+            await fs.promises.rm(path.join(MEDIA_CACHE_DIR, `${file.key}.bin`), { force: true });
+            total -= file.size;
+        }
+        
+        console.log(`🧹 Media cache pruned to ${Math.round(total / 1024 / 1024)}MB`);
+    } catch (error) {
+        console.error('⚠️ Media cache cleanup failed:', error.message);
+    } finally {
+        mediaCachePruning = false;
+    }
+}
+
+// Stream cached media with its content type. Supports a single
+// `Range: bytes=start-end` (or suffix `bytes=-n`) for audio/video seeking
+function sendMediaFile(req, res, media, maxAgeSeconds) {
+    const filename = (media.filename || 'file').replace(/["\r\n]/g, '');
+    const etag = `"${media.etag}"`;
+    
+    res.set({
+        'Content-Type': media.mimetype,
+        'Content-Disposition': `inline; filename="${filename}"`,
+        'Accept-Ranges': 'bytes',
+        'Cache-Control': `private, max-age=${maxAgeSeconds}`,
+        'ETag': etag
+    });
+    
+    if (req.get('If-None-Match') === etag) {
+        return res.status(304).end();
+    }
+    
+    if (media.size === 0) {
+        return res.set('Content-Length', 0).end();
+    }
+    
+    let start = 0;
+    let end = media.size - 1;
+    const range = /^bytes=(\d*)-(\d*)$/.exec((req.get('Range') || '').trim());
+    
+    // Anything else (no header, multiple ranges) gets the whole file
+    if (range && (range[1] || range[2])) {
+        if (range[1]) {
+            start = parseInt(range[1], 10);
+            end = range[2] ? Math.min(parseInt(range[2], 10), media.size - 1) : media.size - 1;
+        } else {
+            start = Math.max(media.size - parseInt(range[2], 10), 0);
+        }
+        
+        if (start > end) {
+            return res.status(416).set('Content-Range', `bytes */${media.size}`).end();
+        }
+        
+        res.status(206).set('Content-Range', `bytes ${start}-${end}/${media.size}`);
+    }
+    
+    res.set('Content-Length', end - start + 1);
+    
+    fs.createReadStream(media.file, { start, end })
+        .on('error', (error) => {
+            console.error('Error streaming media:', error.message);
+            
+            if (res.headersSent) {
+                res.destroy();
+            } else {
+                res.status(500).json({ error: 'Failed to read media' });
+            }
+        })
+        .pipe(res);
+}
+
+// Multipart uploads are kept in memory and converted to MessageMedia
+const mediaUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MEDIA_MAX_BYTES, files: 1 }
+});
+
+// Parse an optional single `file` field, answering upload errors as JSON
+function uploadMediaFile(req, res, next) {
+    mediaUpload.single('file')(req, res, (error) => {
+        if (error) {
+            const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                success: false,
+                error: tooLarge
+                    ? `File too large (max ${MEDIA_MAX_BYTES / 1024 / 1024}MB)`
+                    : `Upload error: ${error.message}`
+            });
+        }
+        next();
+    });
+}
+
+// How media is delivered: `sendAudioAsVoice` (push-to-talk voice note),
+// `sendMediaAsSticker` (with optional `stickerName` / `stickerAuthor`) or
+// `sendMediaAsDocument`. Voice notes must be ogg/opus, so other audio is
+// converted with ffmpeg (FFMPEG_PATH, default `ffmpeg` on the PATH)
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const VOICE_MIMETYPE = 'audio/ogg; codecs=opus';
+const AUDIO_CONVERT_TIMEOUT_MS = 60 * 1000;
+const MEDIA_SEND_FLAGS = ['sendAudioAsVoice', 'sendMediaAsSticker', 'sendMediaAsDocument'];
+
+const mediaSendOptionValidators = [
+    body(MEDIA_SEND_FLAGS)
+        .optional()
+        .isBoolean().withMessage('Send options must be true or false')
+        .toBoolean(),
+    body(['stickerName', 'stickerAuthor'])
+        .optional()
+        .isString().withMessage('Sticker name and author must be strings')
+        .trim()
+        .isLength({ max: 100 }).withMessage('Sticker name and author are limited to 100 chars'),
+    body()
+        .custom(value => MEDIA_SEND_FLAGS.filter(flag => value?.[flag] === true).length <= 1)
+        .withMessage('Use only one of sendAudioAsVoice, sendMediaAsSticker and sendMediaAsDocument')
+];
+
+// Transcode any audio ffmpeg understands to mono 48kHz ogg/opus
+function convertToVoiceNote(buffer) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(FFMPEG_PATH, [
+            '-hide_banner', '-loglevel', 'error',
+            '-i', 'pipe:0',
+            '-vn', '-ac', '1', '-ar', '48000',
+            '-c:a', 'libopus', '-b:a', '32k', '-application', 'voip',
+            '-f', 'ogg', 'pipe:1'
+        ]);
+        
+        const output = [];
+        let stderr = '';
+        
+        const timer = setTimeout(() => {
+            ffmpeg.kill('SIGKILL');
+            reject(httpError('Audio conversion timed out', 422));
+        }, AUDIO_CONVERT_TIMEOUT_MS);
+        
+        ffmpeg.stdout.on('data', chunk => output.push(chunk));
+        ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+        // ffmpeg may exit before reading all input (bad file) - the exit code reports it
+        ffmpeg.stdin.on('error', () => {});
+        
+        ffmpeg.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error.code === 'ENOENT'
+                ? httpError('Voice notes need ffmpeg on the server to convert audio (set FFMPEG_PATH)', 501)
+                : error);
+        });
+        
+        ffmpeg.on('close', (code) => {
+            clearTimeout(timer);
+            
+            if (code === 0 && output.length > 0) {
+                resolve(Buffer.concat(output));
+            } else {
+                reject(httpError(`Could not convert audio to a voice note: ${stderr.trim().split('\n').pop() || `ffmpeg exited with ${code}`}`, 422));
+            }
+        });
+        
+        ffmpeg.stdin.end(buffer);
+    });
+}
+
+// Apply the send options to a media message. Returns { media, options } for
+// client.sendMessage; captions are dropped for voice notes and stickers
+async function prepareMediaSend(media, sendOptions, caption) {
+    if (sendOptions.sendAudioAsVoice) {
+        if (!media.mimetype.startsWith('audio/')) {
+            throw httpError('sendAudioAsVoice needs an audio file');
+        }
+        
+        if (!/^audio\/ogg;\s*codecs=opus$/i.test(media.mimetype)) {
+            const converted = await convertToVoiceNote(Buffer.from(media.data, 'base64'));
+            media = new MessageMedia(VOICE_MIMETYPE, converted.toString('base64'), 'voice.ogg', converted.length);
+        }
+        
+        return { media, options: { sendAudioAsVoice: true } };
+    }
+    
+    if (sendOptions.sendMediaAsSticker) {
+        if (!/^(image|video)\//.test(media.mimetype)) {
+            throw httpError('sendMediaAsSticker needs an image or video');
+        }
+        
+        return {
+            media,
+            options: {
+                sendMediaAsSticker: true,
+                stickerName: sendOptions.stickerName || undefined,
+                stickerAuthor: sendOptions.stickerAuthor || undefined
+            }
+        };
+    }
+    
+    return {
+        media,
+        options: {
+            caption: caption || '',
+            ...(sendOptions.sendMediaAsDocument && { sendMediaAsDocument: true })
+        }
+    };
+}
+
+// ============================================
+// OUTBOUND SEND QUEUE
+// ============================================
+
+// Every outgoing message (UI, API, webhooks, broadcasts, scheduled) goes
+// through a per-session queue: one send at a time with a pause between
+// sends, and optionally "typing..." before text messages. Settings are
+// per account (`whatsapp_sessions` send_* / typing_* columns)
+const SEND_QUEUE_MAX_DEPTH = 500;
+const SEND_DEFAULT_DELAY_MS = 1000;
+const SEND_DEFAULT_JITTER_MS = 1000;
+const SEND_MAX_DELAY_MS = 60 * 1000;
+const TYPING_MS_PER_CHAR = 50;
+const TYPING_MIN_MS = 500;
+const TYPING_DEFAULT_MAX_MS = 5 * 1000;
+const TYPING_MAX_MS = 30 * 1000;
+const SEND_SETTINGS_COLUMNS = 'send_delay_ms, send_jitter_ms, typing_enabled, typing_max_ms';
+
+const sendQueues = new Map(); // userId -> { tail, depth, sending, lastSentAt }
+const sendSettings = new Map(); // userId -> formatted settings
+
+function formatSendSettings(session) {
+    return {
+        delay_ms: session?.send_delay_ms ?? SEND_DEFAULT_DELAY_MS,
+        jitter_ms: session?.send_jitter_ms ?? SEND_DEFAULT_JITTER_MS,
+        typing_enabled: session?.typing_enabled ?? false,
+        typing_max_ms: session?.typing_max_ms ?? TYPING_DEFAULT_MAX_MS
+    };
+}
+
+async function getSendSettings(userId) {
+    if (!sendSettings.has(userId)) {
+        const { data: session, error } = await supabase
+            .from('whatsapp_sessions')
+            .select(SEND_SETTINGS_COLUMNS)
+            .eq('user_id', userId)
+            .maybeSingle();
+        
+        if (error) {
+            // Fall back to the defaults rather than blocking sends
+            console.error('⚠️ Could not load send settings:', error.message);
+            return formatSendSettings(null);
+        }
+        
+        sendSettings.set(userId, formatSendSettings(session));
+    }
+    
+    return sendSettings.get(userId);
+}
+
+function getSendQueue(userId) {
+    if (!sendQueues.has(userId)) {
+        sendQueues.set(userId, { tail: Promise.resolve(), depth: 0, sending: false, lastSentAt: 0 });
+    }
+    
+    return sendQueues.get(userId);
+}
+
+function getSendQueueStatus(userId) {
+    const queue = sendQueues.get(userId);
+    
+    return {
+        depth: queue?.depth || 0,
+        sending: queue?.sending || false,
+        last_sent_at: queue?.lastSentAt ? new Date(queue.lastSentAt).toISOString() : null
+    };
+}
+
+// Roughly how long a person takes to type the text
+function getTypingDuration(text, settings) {
+    return Math.min(settings.typing_max_ms, Math.max(TYPING_MIN_MS, text.length * TYPING_MS_PER_CHAR));
+}
+
+async function showTyping(client, chatId, duration) {
+    try {
+        const chat = await client.getChatById(chatId);
+        await chat.sendStateTyping();
+        await new Promise(resolve => setTimeout(resolve, duration));
+        await chat.clearState();
+    } catch (error) {
+        // Only cosmetic - send anyway
+        console.error(`⚠️ Typing indicator failed for ${chatId}:`, error.message);
+    }
+}
+
+// Queue a send for the account. `send(client)` does the actual send and
+// `text` sizes the typing indicator. Resolves with what `send` returns;
+// rejects with a 429 when the queue is full or 503 if WhatsApp disconnects
+function queueSend(userId, chatId, send, { text = null } = {}) {
+    const queue = getSendQueue(userId);
+    
+    if (queue.depth >= SEND_QUEUE_MAX_DEPTH) {
+        return Promise.reject(httpError('Send queue is full, please slow down', 429));
+    }
+    
+    queue.depth++;
+    
+    const run = async () => {
+        try {
+            const settings = await getSendSettings(userId);
+            const wait = queue.lastSentAt + settings.delay_ms
+                + Math.floor(Math.random() * (settings.jitter_ms + 1)) - Date.now();
+            
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+            
+            const client = whatsappClients.get(userId);
+            
+            if (!client) {
+                throw httpError('WhatsApp not connected', 503);
+            }
+            
+            queue.sending = true;
+            
+            if (settings.typing_enabled && text) {
+                await showTyping(client, chatId, getTypingDuration(text, settings));
+            }
+            
+            return await send(client);
+        } finally {
+            queue.sending = false;
+            queue.lastSentAt = Date.now();
+            queue.depth--;
+        }
+    };
+    
+    const result = queue.tail.then(run);
+    queue.tail = result.catch(() => {});
+    return result;
+}
+
+// Queued client.sendMessage
+function queueMessage(userId, chatId, content, options) {
+    return queueSend(userId, chatId, client => client.sendMessage(chatId, content, options), {
+        text: typeof content === 'string' ? content : null
+    });
+}
+
+// ============================================
+// IDEMPOTENCY KEYS
+// ============================================
+
+// Send endpoints accept an `Idempotency-Key` header (or `idempotency_key`
+// body field). The first request with a key is processed and its successful
+// response stored in `idempotency_keys`; retries with the same key get the
+// stored response instead of sending the message again
+const IDEMPOTENCY_RETENTION_HOURS = parseInt(process.env.IDEMPOTENCY_RETENTION_HOURS, 10) || 24;
+const IDEMPOTENCY_PENDING_TIMEOUT_MS = 30 * 60 * 1000; // a crashed request frees its key after this
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+function getIdempotencyKey(req) {
+    const key = req.get('Idempotency-Key') ?? req.body?.idempotency_key;
+    return key === undefined || key === null || key === '' ? null : String(key).trim();
+}
+
+// Same key must mean same request: hash the endpoint, body and upload
+function hashIdempotentRequest(scope, req) {
+    const { idempotency_key, ...body } = req.body || {};
+    const hash = crypto.createHash('sha256').update(scope).update(JSON.stringify(body));
+    
+    if (req.file) {
+        hash.update(req.file.buffer);
+    }
+    
+    return hash.digest('hex');
+}
+
+// Insert a pending row for the key, or return the row already holding it
+async function claimIdempotencyKey(userId, key, scope, requestHash) {
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const { data: claimed, error } = await supabase
+            .from('idempotency_keys')
+            .insert({
+                user_id: userId,
+                key,
+                scope,
+                request_hash: requestHash,
+                status: 'pending',
+                expires_at: new Date(Date.now() + IDEMPOTENCY_RETENTION_HOURS * 60 * 60 * 1000).toISOString()
+            })
+            .select('id')
+            .single();
+        
+        if (!error) {
+            return { claimed };
+        }
+        
+        if (error.code !== '23505') {
+            throw error;
+        }
+        
+        const { data: existing, error: selectError } = await supabase
+            .from('idempotency_keys')
+            .select('id, scope, request_hash, status, response_status, response_body, created_at, expires_at')
+            .eq('user_id', userId)
+            .eq('key', key)
+            .maybeSingle();
+        
+        if (selectError) {
+            throw selectError;
+        }
+        
+        const abandoned = existing?.status === 'pending'
+            && new Date(existing.created_at).getTime() < Date.now() - IDEMPOTENCY_PENDING_TIMEOUT_MS;
+        
+        if (existing && new Date(existing.expires_at) > new Date() && !abandoned) {
+            return { existing };
+        }
+        
+        // Expired or abandoned: free the key and try again
+        if (existing) {
+            await supabase
+                .from('idempotency_keys')
+                .delete()
+                .eq('id', existing.id);
+        }
+    }
+    
+    throw new Error('Could not claim idempotency key');
+}
+
+// Middleware for a send endpoint. Must run after authentication (and after
+// body parsing / validation, so only requests that will be processed hold a key)
+function idempotent(scope) {
+    return async (req, res, next) => {
+        const key = getIdempotencyKey(req);
+        
+        if (!key) {
+            return next();
+        }
+        
+        if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Idempotency-Key must be 1-255 printable ASCII characters without spaces'
+            });
+        }
+        
+        const userId = req.user?.id || req.webhookUserId;
+        const requestHash = hashIdempotentRequest(scope, req);
+        
+        let result;
+        try {
+            result = await claimIdempotencyKey(userId, key, scope, requestHash);
+        } catch (error) {
+            console.error('❌ Idempotency key error:', error);
+            return res.status(500).json({ success: false, error: 'Failed to check idempotency key', details: error.message });
+        }
+        
+        const { claimed, existing } = result;
+        
+        if (existing) {
+            if (existing.scope !== scope || existing.request_hash !== requestHash) {
+                return res.status(422).json({
+                    success: false,
+                    error: 'Idempotency-Key was already used for a different request'
+                });
+            }
+            
+            if (existing.status === 'pending') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'A request with this Idempotency-Key is still being processed'
+                });
+            }
+            
+            console.log(`🔁 Idempotent replay of ${scope} for user ${userId}`);
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.response_status).json(existing.response_body);
+        }
+        
+        // Store successful responses; on failure release the key so a retry
+        // can go through. Handlers set res.locals.messageSent once the message
+        // is out, and an error after that keeps the key: a retry would send again
+        const json = res.json.bind(res);
+        res.json = (responseBody) => {
+            const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+            
+            const store = succeeded || res.locals.messageSent
+                ? supabase
+                    .from('idempotency_keys')
+                    .update({ status: 'completed', response_status: res.statusCode, response_body: responseBody })
+                    .eq('id', claimed.id)
+                : supabase
+                    .from('idempotency_keys')
+                    .delete()
+                    .eq('id', claimed.id);
+            
+            Promise.resolve(store)
+                .then(({ error }) => {
+                    if (error) {
+                        console.error('⚠️ Failed to store idempotent response:', error.message);
+                    }
+                })
+                .catch(error => console.error('⚠️ Failed to store idempotent response:', error.message))
+                .finally(() => json(responseBody));
+            
+            return res;
+        };
+        
+        next();
+    };
+}
+
+// Drop expired keys (every hour)
+setInterval(async () => {
+    const { error } = await supabase
+        .from('idempotency_keys')
+        .delete()
+        .lt('expires_at', new Date().toISOString());
+    
+    if (error) {
+        console.error('⚠️ Idempotency key cleanup failed:', error.message);
+    }
+}, 60 * 60 * 1000);
+
+// ============================================
+// PHONE NUMBERS
+// ============================================
+
+// Numbers are normalized to E.164 and sent as `<digits>@c.us`. Numbers
+// without a country code are read in the account's default country
+// (`whatsapp_sessions.default_country`, else DEFAULT_COUNTRY)
+const PHONE_INPUT_PATTERN = /^\+?[\d\s().\-]{4,30}$/;
+const CHAT_ID_PATTERN = /^[\d\-]+@[cg]\.us$/;
+const NUMBER_CHECK_MAX = 50;
+const defaultCountries = new Map(); // userId -> ISO country code or null
+
+if (process.env.DEFAULT_COUNTRY && !isSupportedCountry(process.env.DEFAULT_COUNTRY.toUpperCase())) {
+    console.warn(`⚠️ DEFAULT_COUNTRY "${process.env.DEFAULT_COUNTRY}" is not a supported country code - ignoring it`);
+}
+
+function getEnvDefaultCountry() {
+    const country = (process.env.DEFAULT_COUNTRY || '').toUpperCase();
+    return isSupportedCountry(country) ? country : null;
+}
+
+async function getDefaultCountry(userId) {
+    if (!userId) {
+        return getEnvDefaultCountry();
+    }
+    
+    if (!defaultCountries.has(userId)) {
+        const { data: session } = await supabase
+            .from('whatsapp_sessions')
+            .select('default_country')
+            .eq('user_id', userId)
+            .maybeSingle();
+        
+        defaultCountries.set(userId, session?.default_country || null);
+    }
+    
+    return defaultCountries.get(userId) || getEnvDefaultCountry();
+}
+
+// Parse a phone number as typed (spaces, dashes, "+" or "00" prefix, local
+// format). Returns a libphonenumber PhoneNumber, or null if it is not valid
+function parsePhoneNumber(input, defaultCountry) {
+    const international = String(input || '').trim().replace(/^00/, '+');
+    
+    if (!PHONE_INPUT_PATTERN.test(international)) {
+        return null;
+    }
+    
+    let phone = parsePhoneNumberFromString(international, defaultCountry || undefined);
+    
+    // Digits without "+" that aren't valid locally may still carry a country code
+    if ((!phone || !phone.isValid()) && !international.startsWith('+')) {
+        phone = parsePhoneNumberFromString(`+${international.replace(/\D/g, '')}`);
+    }
+    
+    return phone && phone.isValid() ? phone : null;
+}
+
+// Chat IDs pass through; numbers become `<E.164 digits>@c.us`
+function normalizeChatId(input, defaultCountry) {
+    const value = String(input || '').trim();
+    
+    if (CHAT_ID_PATTERN.test(value)) {
+        return value;
+    }
+    
+    const phone = parsePhoneNumber(value, defaultCountry);
+    return phone ? `${phone.number.slice(1)}@c.us` : null;
+}
+
+// Validation for recipient fields: accepts a chat ID or a phone number and
+// replaces it with the normalized chat ID
+function chatIdField(chain) {
+    return chain
+        .trim()
+        .notEmpty().withMessage('Recipient is required')
+        .bail()
+        .customSanitizer(async (value, { req }) => {
+            const country = await getDefaultCountry(req.user?.id || req.webhookUserId);
+            return normalizeChatId(value, country) || value;
+        })
+        .matches(CHAT_ID_PATTERN).withMessage('Invalid phone number or chat ID');
+}
+
+// Look a number up on WhatsApp. `chatId` is the id WhatsApp uses for the
+// account, which can differ from the E.164 form (e.g. legacy formats)
+async function checkNumber(client, input, defaultCountry) {
+    const phone = parsePhoneNumber(input, defaultCountry);
+    
+    if (!phone) {
+        return { input, valid: false, e164: null, country: null, registered: false, chatId: null };
+    }
+    
+    const numberId = await client.getNumberId(phone.number.slice(1));
+    
+    return {
+        input,
+        valid: true,
+        e164: phone.number,
+        country: phone.country || null,
+        registered: !!numberId,
+        chatId: numberId ? numberId._serialized : null
+    };
+}
+
+// ============================================
+// MESSAGE TEMPLATES
+// ============================================
+
+// Templates are stored per account in `message_templates`. `{{name}}`
+// placeholders in the body are filled from the `variables` of a send request
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const TEMPLATE_COLUMNS = 'id, name, body, media_mimetype, media_filename, created_at, updated_at';
+
+function getTemplateVariables(text) {
+    return [...new Set([...(text || '').matchAll(TEMPLATE_VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+// Only the caller's own keys count, so {{constructor}} or {{toString}} can't
+// be filled in from Object.prototype
+function getTemplateVariable(variables, name) {
+    return Object.hasOwn(variables, name) ? variables[name] : undefined;
+}
+
+// Fill in the placeholders; every variable used must be provided
+function renderTemplate(text, variables = {}) {
+    const missing = getTemplateVariables(text).filter(name => {
+        const value = getTemplateVariable(variables, name);
+        return value === undefined || value === null;
+    });
+    
+    if (missing.length > 0) {
+        throw httpError(`Missing template variables: ${missing.join(', ')}`);
+    }
+    
+    return (text || '').replace(TEMPLATE_VARIABLE_PATTERN, (match, name) => String(getTemplateVariable(variables, name)));
+}
+
+// Load a template and render it for sending. Returns { message, media }
+async function renderTemplateMessage(userId, templateId, variables) {
+    const { data: template, error } = await supabase
+        .from('message_templates')
+        .select('body, media_mimetype, media_filename, media_data')
+        .eq('id', templateId)
+        .eq('user_id', userId)
+        .maybeSingle();
+    
+    if (error) {
+        throw error;
+    }
+    
+    if (!template) {
+        throw httpError('Template not found', 404);
+    }
+    
+    return {
+        message: renderTemplate(template.body, variables || {}),
+        media: template.media_mimetype
+            ? new MessageMedia(template.media_mimetype, template.media_data, template.media_filename || 'file')
+            : null
+    };
+}
+
+// Variables may be an object, or (multipart) a JSON string
+function parseTemplateVariables(value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+// Validators for `template_id` + `variables` on the send endpoints
+const templateSendValidators = [
+    body('template_id')
+        .optional()
+        .isInt().withMessage('Invalid template ID'),
+    body('variables')
+        .optional()
+        .customSanitizer(parseTemplateVariables)
+        .isObject().withMessage('variables must be an object')
+];
+
+// ============================================
+// RICH MESSAGE TYPES (location, contact card, poll)
+// ============================================
+
+const POLL_MIN_OPTIONS = 2;
+const POLL_MAX_OPTIONS = 12;
+
+// Escape a value for a vCard field
+function escapeVCard(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+// Build a vCard 3.0 for a contact card. WhatsApp links the card to an
+// account through the `waid` parameter on the phone number
+function buildVCard(contact) {
+    const phone = String(contact.phone).replace(/[^\d+]/g, '');
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${escapeVCard(contact.name)}`,
+        `TEL;type=CELL;waid=${phone.replace('+', '')}:${phone}`
+    ];
+    
+    if (contact.organization) {
+        lines.push(`ORG:${escapeVCard(contact.organization)}`);
+    }
+    
+    if (contact.email) {
+        lines.push(`EMAIL:${escapeVCard(contact.email)}`);
+    }
+    
+    lines.push('END:VCARD');
+    return lines.join('\n');
+}
+
+// The location / contact / poll content of a send request, or null
+function buildRichContent(body) {
+    if (body.location) {
+        const { latitude, longitude, name, address, url } = body.location;
+        return new Location(Number(latitude), Number(longitude), { name, address, url });
+    }
+    
+    if (body.vcard) {
+        return body.vcard;
+    }
+    
+    if (body.contact) {
+        return buildVCard(body.contact);
+    }
+    
+    if (body.poll) {
+        return new Poll(body.poll.question, body.poll.options, {
+            allowMultipleAnswers: body.poll.allowMultipleAnswers === true
+        });
+    }
+    
+    return null;
+}
+
+function hasRichContent(body) {
+    return !!(body.location || body.vcard || body.contact || body.poll);
+}
+
+// Validators for the rich types on the send endpoints (all optional, at
+// most one per request)
+const richContentValidators = [
+    body(['location', 'contact', 'poll'])
+        .optional()
+        .isObject().withMessage('location, contact and poll must be objects'),
+    body()
+        .custom(value => ['location', 'vcard', 'contact', 'poll'].filter(key => value[key]).length <= 1)
+        .withMessage('Send only one of location, vcard, contact or poll per message'),
+    body('location.latitude')
+        .if(body('location').exists())
+        .isFloat({ min: -90, max: 90 }).withMessage('location.latitude must be between -90 and 90'),
+    body('location.longitude')
+        .if(body('location').exists())
+        .isFloat({ min: -180, max: 180 }).withMessage('location.longitude must be between -180 and 180'),
+    body(['location.name', 'location.address'])
+        .optional()
+        .isString().withMessage('location name and address must be strings')
+        .isLength({ max: 256 }).withMessage('location name and address are limited to 256 chars'),
+    body('location.url')
+        .optional()
+        .isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('location.url must be an http(s) URL'),
+    body('vcard')
+        .optional()
+        .isString().withMessage('vcard must be a string')
+        .matches(/^BEGIN:VCARD[\s\S]*END:VCARD\s*$/).withMessage('vcard must be a vCard (BEGIN:VCARD ... END:VCARD)')
+        .isLength({ max: 8192 }).withMessage('vcard too long'),
+    body('contact.name')
+        .if(body('contact').exists())
+        .isString().withMessage('contact.name is required')
+        .bail()
+        .trim()
+        .notEmpty().withMessage('contact.name is required')
+        .isLength({ max: 100 }).withMessage('contact.name too long (max 100 chars)'),
+    body('contact.phone')
+        .if(body('contact').exists())
+        .isString().withMessage('contact.phone must be a phone number')
+        .bail()
+        .matches(/^\+?[\d\s\-()]{5,20}$/).withMessage('contact.phone must be a phone number'),
+    body('contact.organization')
+        .optional()
+        .isString().withMessage('contact.organization must be a string')
+        .isLength({ max: 100 }).withMessage('contact.organization too long (max 100 chars)'),
+    body('contact.email')
+        .optional()
+        .isEmail().withMessage('contact.email must be an email address'),
+    body('poll.question')
+        .if(body('poll').exists())
+        .isString().withMessage('poll.question is required')
+        .bail()
+        .trim()
+        .notEmpty().withMessage('poll.question is required')
+        .isLength({ max: 255 }).withMessage('poll.question too long (max 255 chars)'),
+    body('poll.options')
+        .if(body('poll').exists())
+        .isArray({ min: POLL_MIN_OPTIONS, max: POLL_MAX_OPTIONS })
+        .withMessage(`poll.options must have ${POLL_MIN_OPTIONS}-${POLL_MAX_OPTIONS} options`)
+        .custom(options => new Set(options.map(option => String(option).trim().toLowerCase())).size === options.length)
+        .withMessage('poll.options must be unique'),
+    body('poll.options.*')
+        .isString().withMessage('Poll options must be strings')
+        .trim()
+        .notEmpty().withMessage('Poll options cannot be empty')
+        .isLength({ max: 100 }).withMessage('Poll options are limited to 100 chars'),
+    body('poll.allowMultipleAnswers')
+        .optional()
+        .isBoolean({ strict: true }).withMessage('poll.allowMultipleAnswers must be true or false')
+];
+
+// Structured fields of a received location / contact card / poll message
+function getRichMessageData(message) {
+    if (message.type === 'location' && message.location) {
+        return {
+            location: {
+                latitude: message.location.latitude,
+                longitude: message.location.longitude,
+                name: message.location.name || null,
+                address: message.location.address || null,
+                url: message.location.url || null
+            }
+        };
+    }
+    
+    if (message.vCards && message.vCards.length > 0) {
+        return { vCards: message.vCards };
+    }
+    
+    if (message.type === 'poll_creation') {
+        return {
+            poll: {
+                question: message.pollName,
+                options: (message.pollOptions || []).map(option => option.name),
+                allowMultipleAnswers: !!message.allowMultipleAnswers
+            }
+        };
+    }
+    
+    return null;
+}
+
+// ============================================
+// SESSION CLEANUP (runs every hour)
+// ============================================
+
+setInterval(async () => {
+    console.log('🧹 Running session cleanup...');
+    
+    for (const [userId, client] of whatsappClients.entries()) {
+        try {
+            const state = await client.getState();
+            
+            if (state !== 'CONNECTED') {
+                console.log(`Removing disconnected session: ${userId}`);
+                await client.destroy();
+                whatsappClients.delete(userId);
+                clientStates.delete(userId);
+                activeSessionsCount--;
+            }
+        } catch (error) {
+            console.error(`Error checking session ${userId}:`, error.message);
+            // If error checking, assume dead
+            whatsappClients.delete(userId);
+            clientStates.delete(userId);
+            activeSessionsCount--;
+        }
+    }
+    
+    console.log(`✅ Cleanup done. Active sessions: ${activeSessionsCount}/${MAX_CONCURRENT_SESSIONS}`);
+}, 60 * 60 * 1000); // Every hour
+
+// ============================================
+// AUTHENTICATED ENDPOINTS
+// ============================================
+
+app.get('/qr', authenticateUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        await getWhatsAppClient(userId);
+        const state = clientStates.get(userId) || { qr: '', ready: false };
+        res.json({ qr: state.qr, ready: state.ready });
+    } catch (error) {
+        if (error.message.includes('at capacity')) {
+            res.status(503).json({ 
+                error: error.message,
+                active: activeSessionsCount,
+                max: MAX_CONCURRENT_SESSIONS
+            });
+        } else {
+            res.status(500).json({ error: error.message });
+        }
+    }
+});
+
+app.get('/chats', authenticateUser, async (req, res) => {
+    const userId = req.user.id;
+    const state = clientStates.get(userId);
+    if (!state) {
+        return res.json({ chats: [], connected: false });
+    }
+    res.json({ chats: state.chats, connected: state.ready });
+});
+
+// Message history is paged with opaque cursors (message id + timestamp).
+// WhatsApp Web only loads history from the newest message backwards, so a
+// cursor is found by loading a growing window until it is reached
+const MESSAGES_DEFAULT_PAGE_SIZE = 50;
+const MESSAGES_MAX_PAGE_SIZE = 200;
+const MESSAGES_MAX_SCAN = 2000; // deepest history a cursor can reach (each scan loads this many)
+
+function encodeMessageCursor(message) {
+    return Buffer.from(JSON.stringify({ i: message.id._serialized, t: message.timestamp })).toString('base64url');
+}
+
+function decodeMessageCursor(cursor) {
+    try {
+        const { i, t } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return typeof i === 'string' && Number.isInteger(t) ? { id: i, timestamp: t } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Split loaded messages (oldest first) around the cursor. Falls back to the
+// timestamp when the cursor message is gone (deleted for me)
+function splitAtCursor(messages, cursor) {
+    const index = messages.findIndex(message => message.id._serialized === cursor.id);
+    
+    if (index !== -1) {
+        return { found: true, older: messages.slice(0, index), newer: messages.slice(index + 1) };
+    }
+    
+    return {
+        found: messages.length > 0 && messages[0].timestamp < cursor.timestamp,
+        older: messages.filter(message => message.timestamp < cursor.timestamp),
+        newer: messages.filter(message => message.timestamp > cursor.timestamp)
+    };
+}
+
+// One page of a chat's messages (oldest first). Without a cursor: the latest
+// messages. `nextCursor` continues in the same direction, null at the end
+async function fetchMessagePage(chat, { before, after, limit }) {
+    if (!before && !after) {
+        const messages = await chat.fetchMessages({ limit: limit + 1 });
+        const page = messages.slice(-limit);
+        
+        return { page, nextCursor: messages.length > limit ? encodeMessageCursor(page[0]) : null };
+    }
+    
+    const cursor = before || after;
+    let scan = Math.max(limit * 2, MESSAGES_DEFAULT_PAGE_SIZE * 2);
+    
+    while (true) {
+        const messages = await chat.fetchMessages({ limit: scan });
+        const exhausted = messages.length < scan || scan >= MESSAGES_MAX_SCAN;
+        const { found, older, newer } = splitAtCursor(messages, cursor);
+        
+        if (after && (found || exhausted)) {
+            const page = newer.slice(0, limit);
+            return { page, nextCursor: newer.length > limit ? encodeMessageCursor(page[page.length - 1]) : null };
+        }
+        
+        if (before && ((found && older.length > limit) || exhausted)) {
+            const page = older.slice(-limit);
+            return { page, nextCursor: older.length > limit ? encodeMessageCursor(page[0]) : null };
+        }
+        
+        scan = Math.min(scan * 2, MESSAGES_MAX_SCAN);
+    }
+}
+
+// Query validation for GET /messages/:chatId
+function messagePageValidators() {
+    return [
+        query(['before', 'after'])
+            .optional()
+            .customSanitizer(value => decodeMessageCursor(String(value)))
+            .custom(value => value !== null).withMessage('Invalid cursor'),
+        query('after')
+            .if(query('before').exists())
+            .not().exists().withMessage('Use either before or after, not both'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: MESSAGES_MAX_PAGE_SIZE }).withMessage(`limit must be between 1 and ${MESSAGES_MAX_PAGE_SIZE}`)
+            .toInt()
+    ];
+}
+
+// Page through a chat's messages: ?limit=50, then ?before=<nextCursor> for
+// older messages, or ?after=<cursor> for newer ones
+app.get('/messages/:chatId',
+    authenticateUser,
+    messagePageValidators(),
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const chatId = req.params.chatId;
+        const client = whatsappClients.get(userId);
+        
+        if (!client) {
+            return res.status(503).json({ error: 'WhatsApp not connected' });
+        }
+        
+        const chat = await client.getChatById(chatId);
+        const { page: messages, nextCursor } = await fetchMessagePage(chat, {
+            before: req.query.before,
+            after: req.query.after,
+            limit: req.query.limit || MESSAGES_DEFAULT_PAGE_SIZE
+        });
+        
+        const formattedMessages = messages.map((msg) => {
+            const rich = getRichMessageData(msg);
+            
+            return {
+                id: msg.id._serialized,
+                cursor: encodeMessageCursor(msg),
+                type: msg.type,
+                body: rich && rich.location ? '' : msg.body,
+                fromMe: msg.fromMe,
+                timestamp: msg.timestamp,
+                sender: msg.author || msg.from,
+                ack: msg.fromMe ? msg.ack : null,
+                hasMedia: msg.hasMedia,
+                // Metadata only - the file comes from GET .../:messageId/media
+                media: msg.hasMedia ? {
+                    url: `/messages/${encodeURIComponent(chatId)}/${encodeURIComponent(msg.id._serialized)}/media`,
+                    mimetype: msg._data.mimetype || null,
+                    filename: msg._data.filename || null,
+                    filesize: msg._data.size || null,
+                    duration: msg.duration ? Number(msg.duration) : null
+                } : null,
+                ...rich
+            };
+        });
+        
+        res.json({ messages: formattedMessages, nextCursor });
+    } catch (error) {
+        console.error('Error fetching messages:', error);
+        res.status(500).json({ error: 'Failed to fetch messages', details: error.message });
+    }
+});
+
+// Download (or stream a range of) a message's media. Files are cached on disk
+app.get('/messages/:chatId/:messageId/media',
+    authenticateUser,
+    [
+        messageIdParam()
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const { chatId, messageId } = req.params;
+        
+        // Serialized ids embed their chat: "<fromMe>_<chatId>_<id>"
+        if (messageId.split('_')[1] !== chatId) {
+            return res.status(404).json({ error: 'Message not found in this chat' });
+        }
+        
+        const media = await getCachedMedia(req.user.id, messageId);
+        
+        if (!media) {
+            return res.status(404).json({ error: 'Media not found' });
+        }
+        
+        sendMediaFile(req, res, media, 24 * 60 * 60);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        
+        console.error('Error fetching media:', error);
+        res.status(500).json({ error: 'Failed to fetch media', details: error.message });
+    }
+});
+
+// Delivery / read status of one of our messages (from `message_acks`,
+// falling back to the live session for messages not tracked yet)
+app.get('/messages/:messageId/status',
+    authenticateUser,
+    [
+        messageIdParam()
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const messageId = req.params.messageId;
+        
+        const { data: row, error } = await supabase
+            .from('message_acks')
+            .select('chat_id, ack, sent_at, delivered_at, read_at, played_at, updated_at')
+            .eq('user_id', userId)
+            .eq('message_id', messageId)
+            .maybeSingle();
+        
+        if (error) {
+            throw error;
+        }
+        
+        if (row) {
+            return res.json({ success: true, ...formatMessageStatus(messageId, row) });
+        }
+        
+        const client = whatsappClients.get(userId);
+        const message = client ? await client.getMessageById(messageId) : null;
+        
+        if (!message || !message.fromMe) {
+            return res.status(404).json({ error: 'Message not found (status is only tracked for your own messages)' });
+        }
+        
+        res.json({
+            success: true,
+            ...formatMessageStatus(messageId, {
+                chat_id: message.to,
+                ack: message.ack,
+                sent_at: new Date(message.timestamp * 1000).toISOString(),
+                delivered_at: null,
+                read_at: null,
+                played_at: null,
+                updated_at: null
+            })
+        });
+    } catch (error) {
+        console.error('Error fetching message status:', error);
+        res.status(500).json({ error: 'Failed to fetch message status', details: error.message });
+    }
+});
+
+app.post('/send-message', 
+    authenticateUser, 
+    messageLimiter,
+    [
+        chatIdField(body('chatId')),
+        body('message')
+            .if((value, { req }) => !req.body.template_id && !hasRichContent(req.body))
+            .trim()
+            .notEmpty().withMessage('Message cannot be empty')
+            .isLength({ max: 4096 }).withMessage('Message too long (max 4096 chars)'),
+        ...templateSendValidators,
+        ...richContentValidators
+    ],
+    validate,
+    idempotent('send-message'),
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { chatId, message, template_id, variables } = req.body;
+        
+        if (!chatId || (!message && !template_id && !hasRichContent(req.body))) {
+            return res.status(400).json({ error: 'chatId and message (or template_id, location, contact, vcard, poll) are required' });
+        }
+        
+        const client = whatsappClients.get(userId);
+        
+        if (!client) {
+            return res.status(503).json({ error: 'WhatsApp not connected' });
+        }
+        
+        let sent;
+        
+        if (hasRichContent(req.body)) {
+            sent = await queueMessage(userId, chatId, buildRichContent(req.body));
+        } else if (template_id) {
+            const template = await renderTemplateMessage(userId, template_id, variables);
+            
+            if (template.media) {
+                sent = await queueMessage(userId, chatId, template.media, { caption: template.message });
+            } else {
+                sent = await queueMessage(userId, chatId, template.message);
+            }
+        } else {
+            sent = await queueMessage(userId, chatId, message);
+        }
+        
+        res.locals.messageSent = true;
+        console.log(`✅ Message sent for user ${userId} to ${chatId}`);
+        res.json({ success: true, message: 'Message sent successfully', id: sent?.id?._serialized || null });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        
+        console.error('Error sending message:', error);
+        res.status(500).json({ error: 'Failed to send message', details: error.message });
+    }
+});
+
+app.post('/send-media',
+    authenticateUser,
+    messageLimiter,
+    [
+        chatIdField(body('chatId')),
+        ...mediaSendOptionValidators
+    ],
+    validate,
+    idempotent('send-media'),
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { chatId, mediaData, mimeType, caption, filename } = req.body;
+        
+        if (!mediaData || !mimeType) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'mediaData and mimeType are required' 
+            });
+        }
+        
+        const client = whatsappClients.get(userId);
+        
+        if (!client) {
+            return res.status(503).json({ 
+                success: false,
+                error: 'WhatsApp not connected' 
+            });
+        }
+        
+        const prepared = await prepareMediaSend(new MessageMedia(mimeType, mediaData, filename), req.body, caption);
+        const sent = await queueMessage(userId, chatId, prepared.media, prepared.options);
+        res.locals.messageSent = true;
+        
+        console.log(`✅ Media sent for user ${userId}`);
+        res.json({ success: true, message: 'Media sent successfully', id: sent?.id?._serialized || null });
+        
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        
+        console.error('Error sending media:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to send media', 
+            details: error.message 
+        });
+    }
+});
+
+app.post('/logout-whatsapp', authenticateUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const client = whatsappClients.get(userId);
+        
+        if (client) {
+            console.log(`🔌 Disconnecting WhatsApp for user: ${userId}`);
+            
+            // Step 1: Logout from WhatsApp
+            try {
+                await client.logout();
+            } catch (logoutErr) {
+                console.error('⚠️ Logout error (ignored):', logoutErr.message);
+            }
+            
+            // Step 2: Remove from memory maps
+            whatsappClients.delete(userId);
+            clientStates.delete(userId);
+            userWebhooks.delete(userId);
+            activeSessionsCount--;
+            
+            // Step 3: Update database status
+            await supabase
+                .from('whatsapp_sessions')
+                .update({
+                    is_connected: false,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('user_id', userId);
+            
+            // Step 4: Destroy client in background
+            setTimeout(async () => {
+                try {
+                    await client.destroy();
+                    console.log(`✅ Client destroyed: ${userId}`);
+                } catch (err) {
+                    console.log(`ℹ️ Client cleanup completed: ${userId}`);
+                }
+            }, 2000);
+            
+            console.log(`✅ WhatsApp disconnected for: ${userId}`);
+            console.log(`📉 Active sessions: ${activeSessionsCount}/${MAX_CONCURRENT_SESSIONS}`);
+        }
+        
+        res.json({ 
+            success: true, 
+            message: 'WhatsApp disconnected. You will need to scan QR code again.' 
+        });
+        
+    } catch (error) {
+        console.error('❌ Disconnect error:', error.message);
+        res.json({ 
+            success: true, 
+            message: 'Disconnected (with warnings)',
+            warning: error.message 
+        });
+    }
+});
+
+app.get('/user-info', authenticateUser, (req, res) => {
+    res.json({
+        user: {
+            id: req.user.id,
+            email: req.user.email,
+            created_at: req.user.created_at
+        }
+    });
+});
+
+// ============================================
+// MESSAGE SEARCH
+// ============================================
+
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 100;
+const SEARCH_MAX_OFFSET = 10000;
+const SEARCH_MAX_TERMS = 10;
+
+// ?media= filter -> archived message types (null = any media)
+const SEARCH_MEDIA_TYPES = {
+    any: null,
+    image: ['image'],
+    video: ['video'],
+    audio: ['audio', 'ptt'],
+    document: ['document'],
+    sticker: ['sticker']
+};
+
+// Words and numbers of the query; punctuation is ignored like in the index
+function getSearchTerms(text) {
+    return (text.match(/[\p{L}\p{N}]+/gu) || []).slice(0, SEARCH_MAX_TERMS);
+}
+
+// A date without a time covers that whole day (UTC)
+function searchDateBound(value, endOfDay) {
+    if (!value) return null;
+    
+    const date = new Date(value);
+    
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCHours(23, 59, 59, 999);
+    }
+    
+    return date.toISOString();
+}
+
+// Search archived messages of all chats: ?q= matches message text and
+// captions, sender and chat names. Newest first
+app.get('/search',
+    authenticateUser,
+    [
+        query('q')
+            .trim()
+            .notEmpty().withMessage('Search text is required')
+            .bail()
+            .isLength({ max: 200 }).withMessage('Search text is limited to 200 chars')
+            .custom(value => getSearchTerms(value).length > 0).withMessage('Search text needs a letter or number'),
+        chatIdField(query('chat').optional({ values: 'falsy' })),
+        chatIdField(query('sender').optional({ values: 'falsy' })),
+        query(['from', 'to'])
+            .optional({ values: 'falsy' })
+            .isISO8601().withMessage('Dates must be ISO 8601, e.g. 2024-03-01')
+            .bail()
+            // isISO8601 also accepts week and ordinal dates (2024-W10, 2024-061)
+            .custom(value => !isNaN(new Date(value).getTime())).withMessage('Dates must be ISO 8601, e.g. 2024-03-01'),
+        query('media')
+            .optional({ values: 'falsy' })
+            .isIn(Object.keys(SEARCH_MEDIA_TYPES)).withMessage(`media must be one of: ${Object.keys(SEARCH_MEDIA_TYPES).join(', ')}`),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: SEARCH_MAX_LIMIT }).withMessage(`limit must be between 1 and ${SEARCH_MAX_LIMIT}`)
+            .toInt(),
+        query('offset')
+            .optional()
+            .isInt({ min: 0, max: SEARCH_MAX_OFFSET }).withMessage(`offset must be between 0 and ${SEARCH_MAX_OFFSET}`)
+            .toInt()
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        if (!messageArchive) {
+            return res.status(501).json({ error: 'Search needs the message archive (MESSAGE_ARCHIVE is off)' });
+        }
+        
+        const limit = req.query.limit || SEARCH_DEFAULT_LIMIT;
+        const offset = req.query.offset || 0;
+        
+        // One extra row tells whether there is a next page
+        const rows = await messageArchive.searchMessages(req.user.id, {
+            terms: getSearchTerms(req.query.q),
+            chatId: req.query.chat || null,
+            sender: req.query.sender || null,
+            from: searchDateBound(req.query.from, false),
+            to: searchDateBound(req.query.to, true),
+            types: req.query.media ? SEARCH_MEDIA_TYPES[req.query.media] : null,
+            hasMedia: !!req.query.media,
+            limit: limit + 1,
+            offset
+        });
+        
+        res.json({
+            results: rows.slice(0, limit).map(formatArchivedMessage),
+            nextOffset: rows.length > limit ? offset + limit : null
+        });
+    } catch (error) {
+        console.error('Error searching messages:', error);
+        res.status(500).json({ error: 'Failed to search messages', details: error.message });
+    }
+});
+
+// ============================================
+// CHAT EXPORT
+// ============================================
+
+const EXPORT_FORMATS = ['txt', 'json', 'csv', 'html'];
+const EXPORT_BATCH_SIZE = 1000;
+const EXPORT_MAX_MESSAGES = 50000;
+
+const EXPORT_CONTENT_TYPES = {
+    txt: 'text/plain; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    csv: 'text/csv; charset=utf-8',
+    html: 'text/html; charset=utf-8'
+};
+
+// Media files are named like in WhatsApp's own exports: IMG-20240312-WA0001.jpg
+const EXPORT_MEDIA_PREFIXES = { image: 'IMG', video: 'VID', audio: 'AUD', ptt: 'PTT', sticker: 'STK' };
+const EXPORT_MEDIA_EXTENSIONS = { jpeg: 'jpg', ogg: 'opus', mpeg: 'mp3', quicktime: 'mov', plain: 'txt' };
+
+const EXPORT_CSV_COLUMNS = [
+    'timestamp', 'local_time', 'message_id', 'sender', 'sender_name', 'from_me', 'type', 'text',
+    'media_file', 'media_mimetype', 'media_filename', 'ack', 'edited_at', 'deleted_at'
+];
+
+// `from` / `to` are read like scheduled messages' `send_at`: with an offset
+// they are absolute, otherwise wall-clock time in `timeZone`. A date alone
+// covers that whole day
+function resolveExportDate(value, timeZone, endOfDay) {
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const nextDay = new Date(`${value}T00:00:00Z`);
+        nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+        return new Date(resolveSendAt(nextDay.toISOString().slice(0, 10), timeZone).getTime() - 1);
+    }
+    
+    return resolveSendAt(value, timeZone);
+}
+
+// Two-digit date / time parts of a unix timestamp in `timeZone`
+function getExportTimeParts(timestamp, timeZone) {
+    const parts = {};
+    
+    new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(timestamp * 1000)).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    
+    return parts;
+}
+
+// Archived messages of a chat in the range, oldest first, one page at a time
+async function forEachExportPage(userId, chatId, range, callback) {
+    for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+        const batch = await messageArchive.listMessages(userId, chatId, { ...range, limit: EXPORT_BATCH_SIZE, offset });
+        await callback(batch.map(formatArchivedMessage));
+        
+        if (batch.length < EXPORT_BATCH_SIZE) {
+            return;
+        }
+    }
+}
+
+// Write with backpressure, so a long transcript isn't buffered in memory
+function writeExportChunk(stream, chunk) {
+    if (stream.destroyed) {
+        return Promise.reject(new Error('Export stream closed'));
+    }
+    
+    if (stream.write(chunk)) {
+        return Promise.resolve();
+    }
+    
+    return new Promise((resolve, reject) => {
+        const onDrain = () => {
+            stream.off('close', onClose);
+            resolve();
+        };
+        const onClose = () => {
+            stream.off('drain', onDrain);
+            reject(new Error('Export stream closed'));
+        };
+        
+        stream.once('drain', onDrain);
+        stream.once('close', onClose);
+    });
+}
+
+function getExportExtension(media) {
+    const fromName = media.filename ? path.extname(media.filename).slice(1) : '';
+    const subtype = (media.mimetype || '').split(';')[0].split('/')[1] || 'bin';
+    
+    return (fromName || EXPORT_MEDIA_EXTENSIONS[subtype] || subtype).toLowerCase().replace(/[^a-z0-9]/g, '') || 'bin';
+}
+
+// Media file names as in WhatsApp's own exports, numbered per day
+function createExportMediaNamer(timeZone) {
+    const perDay = new Map();
+    
+    return (message, media) => {
+        const time = getExportTimeParts(message.timestamp, timeZone);
+        const day = `${time.year}${time.month}${time.day}`;
+        const count = (perDay.get(day) || 0) + 1;
+        perDay.set(day, count);
+        
+        return `${EXPORT_MEDIA_PREFIXES[message.type] || 'DOC'}-${day}-WA${String(count).padStart(4, '0')}.${getExportExtension(media)}`;
+    };
+}
+
+// Add a message's media to the zip and wait until it is written. The cache
+// file is opened first, so a prune can't remove it halfway through the
+// stream. Returns the file name, or null when the media can't be fetched
+// (deleted, session not connected, pruned) and shows as "<Media omitted>"
+async function addExportMedia(zip, userId, message, nameMedia) {
+    let media = null;
+    let handle = null;
+    
+    try {
+        media = await getCachedMedia(userId, message.id);
+        handle = media && await fs.promises.open(media.file, 'r');
+    } catch (error) {
+        // Left out
+    }
+    
+    if (!handle) {
+        return null;
+    }
+    
+    const name = nameMedia(message, media);
+    const written = new Promise((resolve, reject) => {
+        zip.once('error', reject);
+        zip.once('entry', () => {
+            zip.off('error', reject);
+            resolve();
+        });
+    });
+    
+    // Media is already compressed, store it as is
+    zip.append(handle.createReadStream(), { name, store: true });
+    await written;
+    
+    return name;
+}
+
+function getExportSender(message) {
+    if (message.fromMe) {
+        return 'You';
+    }
+    
+    return message.senderName || `+${(message.sender || message.chatId).split('@')[0]}`;
+}
+
+// Message text, with locations, polls and contact cards written out as in
+// WhatsApp's own exports
+function getExportContent(message) {
+    if (message.location) {
+        const { latitude, longitude, name } = message.location;
+        return `location: https://maps.google.com/?q=${latitude},${longitude}${name ? `\n${name}` : ''}`;
+    }
+    
+    if (message.poll) {
+        return ['POLL:', message.poll.question, ...message.poll.options.map(option => `OPTION: ${option}`)].join('\n');
+    }
+    
+    if (message.vCards && message.vCards.length > 0) {
+        return message.vCards
+            .map(vcard => `Contact card: ${(vcard.match(/^FN[^:]*:(.*?)\r?$/m) || [])[1] || 'Unknown'}`)
+            .join('\n');
+    }
+    
+    return message.body || '';
+}
+
+// Transcripts are written as they are read: each renderer returns the
+// `head`, a `message(message, mediaName)` per message and the `tail`
+
+// WhatsApp (Android) export lines: "12/03/2024, 14:05 - Lina: Hello"
+function renderExportTxt(info) {
+    return {
+        head: '',
+        message(message, mediaName) {
+            const time = getExportTimeParts(message.timestamp, info.timeZone);
+            let text = getExportContent(message);
+            
+            if (message.hasMedia) {
+                text = (mediaName ? `${mediaName} (file attached)` : '<Media omitted>') + (text ? `\n${text}` : '');
+            }
+            
+            if (message.revokedAt) {
+                text += ' <This message was deleted>';
+            } else if (message.editedAt) {
+                text += ' <This message was edited>';
+            }
+            
+            return `${time.day}/${time.month}/${time.year}, ${time.hour}:${time.minute} - ${getExportSender(message)}: ${text}\n`;
+        },
+        tail: ''
+    };
+}
+
+function renderExportJson(info) {
+    const header = JSON.stringify({
+        chat: { id: info.chatId, name: info.chatName },
+        timezone: info.timeZone,
+        from: info.from,
+        to: info.to,
+        exportedAt: info.exportedAt,
+        messageCount: info.messageCount
+    }, null, 2);
+    let first = true;
+    
+    return {
+        // Reopen the header object and add the messages array
+        head: `${header.slice(0, -2)},\n  "messages": [`,
+        message(message, mediaName) {
+            const entry = message.media
+                ? { ...message, media: { ...message.media, file: mediaName || null } }
+                : message;
+            const separator = first ? '\n' : ',\n';
+            first = false;
+            
+            return separator + JSON.stringify(entry, null, 2).replace(/^/gm, '    ');
+        },
+        get tail() {
+            return first ? ']\n}' : '\n  ]\n}';
+        }
+    };
+}
+
+// Every cell quoted; text starting with = + - @ gets a ' so spreadsheets
+// don't run it as a formula
+function toCsvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+function renderExportCsv(info) {
+    return {
+        // The BOM makes Excel read the file as UTF-8
+        head: '\uFEFF' + EXPORT_CSV_COLUMNS.join(',') + '\r\n',
+        message(message, mediaName) {
+            const time = getExportTimeParts(message.timestamp, info.timeZone);
+            
+            return [
+                new Date(message.timestamp * 1000).toISOString(),
+                `${time.year}-${time.month}-${time.day} ${time.hour}:${time.minute}:${time.second}`,
+                message.id,
+                message.sender,
+                message.fromMe ? 'You' : message.senderName,
+                message.fromMe,
+                message.type,
+                getExportContent(message),
+                mediaName || null,
+                message.media?.mimetype,
+                message.media?.filename,
+                message.ack,
+                message.editedAt,
+                message.revokedAt
+            ].map(toCsvCell).join(',') + '\r\n';
+        },
+        tail: ''
+    };
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
+function renderExportHtmlMedia(message, mediaName) {
+    const label = escapeHtml(message.media?.filename || mediaName || message.type);
+    
+    if (!mediaName) {
+        return `<div class="note">📎 ${label} (media not included)</div>`;
+    }
+    
+    const src = escapeHtml(mediaName);
+    
+    switch (message.type) {
+        case 'image':
+        case 'sticker':
+            return `<img src="${src}" alt="">`;
+        case 'video':
+            return `<video controls src="${src}"></video>`;
+        case 'audio':
+        case 'ptt':
+            return `<audio controls src="${src}"></audio>`;
+        default:
+            return `<a href="${src}">📄 ${label}</a>`;
+    }
+}
+
+// Standalone transcript page; media files are linked next to it in the zip
+function renderExportHtml(info) {
+    const range = [info.from && `from ${info.from}`, info.to && `to ${info.to}`].filter(Boolean).join(' ');
+    let lastDay = null;
+    
+    return {
+        head: `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>WhatsApp Chat with ${escapeHtml(info.chatName)}</title>
+<style>
+body { margin: 0; background: #efeae2; font: 14px/1.4 -apple-system, "Segoe UI", Roboto, sans-serif; color: #111b21; }
+header { position: sticky; top: 0; padding: 12px 20px; background: #075e54; color: #fff; }
+header h1 { margin: 0; font-size: 18px; }
+header p { margin: 4px 0 0; font-size: 12px; opacity: 0.8; }
+main { max-width: 860px; margin: 0 auto; padding: 16px; }
+.day { margin: 16px auto 8px; width: fit-content; padding: 4px 12px; background: #fff; border-radius: 8px; font-size: 12px; color: #54656f; }
+.message { display: flex; margin: 4px 0; }
+.message.sent { justify-content: flex-end; }
+.bubble { max-width: 70%; padding: 6px 10px; border-radius: 8px; background: #fff; box-shadow: 0 1px 1px rgba(0, 0, 0, 0.1); }
+.sent .bubble { background: #d9fdd3; }
+.sender { font-size: 12px; font-weight: 600; color: #1f7aec; }
+.text { white-space: pre-wrap; overflow-wrap: anywhere; }
+.meta, .note { font-size: 11px; color: #667781; }
+.meta { text-align: right; }
+img, video { display: block; max-width: 100%; max-height: 320px; border-radius: 6px; margin: 4px 0; }
+audio { margin: 4px 0; }
+</style>
+</head>
+<body>
+<header>
+<h1>WhatsApp Chat with ${escapeHtml(info.chatName)}</h1>
+<p>${info.messageCount} messages${range ? ` ${escapeHtml(range)}` : ''} · times in ${escapeHtml(info.timeZone)} · exported ${escapeHtml(info.exportedAt)}</p>
+</header>
+<main>
+`,
+        message(message, mediaName) {
+            const time = getExportTimeParts(message.timestamp, info.timeZone);
+            const day = `${time.day}/${time.month}/${time.year}`;
+            const content = getExportContent(message);
+            const notes = [message.editedAt && 'edited', message.revokedAt && 'deleted'].filter(Boolean);
+            
+            let html = day !== lastDay ? `<div class="day">${day}</div>` : '';
+            lastDay = day;
+            
+            html += `<div class="message ${message.fromMe ? 'sent' : 'received'}"><div class="bubble">`;
+            html += `<div class="sender">${escapeHtml(getExportSender(message))}</div>`;
+            html += message.hasMedia ? renderExportHtmlMedia(message, mediaName) : '';
+            html += content ? `<div class="text">${escapeHtml(content)}</div>` : '';
+            html += `<div class="meta">${notes.length ? `${notes.join(', ')} · ` : ''}${time.hour}:${time.minute}</div>`;
+            html += '</div></div>\n';
+            
+            return html;
+        },
+        tail: `</main>
+</body>
+</html>
+`
+    };
+}
+
+const EXPORT_RENDERERS = {
+    txt: renderExportTxt,
+    json: renderExportJson,
+    csv: renderExportCsv,
+    html: renderExportHtml
+};
+
+// Export a chat from the message archive: ?format=txt (WhatsApp's export
+// format), json, csv or html, optionally for a date range. ?media=true
+// returns a zip with the transcript and the chat's media files
+app.get('/chats/:chatId/export',
+    authenticateUser,
+    exportLimiter,
+    [
+        chatIdField(param('chatId')),
+        query('format')
+            .optional()
+            .isIn(EXPORT_FORMATS).withMessage(`format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+        query('media')
+            .optional()
+            .isBoolean().withMessage('media must be true or false')
+            .toBoolean(),
+        query(['from', 'to'])
+            .optional({ values: 'falsy' })
+            .isISO8601().withMessage('Dates must be ISO 8601, e.g. 2024-03-01'),
+        query('timezone')
+            .optional()
+            .custom(isValidTimeZone).withMessage('Unknown timezone (use an IANA name like "Asia/Amman")')
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        if (!messageArchive) {
+            return res.status(501).json({ error: 'Export needs the message archive (MESSAGE_ARCHIVE is off)' });
+        }
+        
+        const userId = req.user.id;
+        const chatId = req.params.chatId;
+        const format = req.query.format || 'txt';
+        const timeZone = req.query.timezone || 'UTC';
+        const fromDate = req.query.from ? resolveExportDate(req.query.from, timeZone, false) : null;
+        const toDate = req.query.to ? resolveExportDate(req.query.to, timeZone, true) : null;
+        
+        // isISO8601 also accepts forms like 2024-W10 or 2024-03 that don't resolve
+        if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+            return res.status(400).json({ error: 'Dates must be ISO 8601, e.g. 2024-03-01 or 2024-03-01T18:00' });
+        }
+        
+        const from = fromDate ? fromDate.toISOString() : null;
+        const to = toDate ? toDate.toISOString() : null;
+        
+        if (from && to && from > to) {
+            return res.status(400).json({ error: 'from must be before to' });
+        }
+        
+        const exportedAt = new Date().toISOString();
+        
+        // Without `to` the range ends now, so messages arriving mid-export
+        // don't shift the pages
+        const range = { from, to: to || exportedAt };
+        const summary = await messageArchive.summarizeChat(userId, chatId, range);
+        
+        if (summary.count === 0) {
+            return res.status(404).json({ error: 'No archived messages in this chat for this range' });
+        }
+        
+        if (summary.count > EXPORT_MAX_MESSAGES) {
+            return res.status(413).json({ error: `More than ${EXPORT_MAX_MESSAGES} messages, export a shorter date range` });
+        }
+        
+        const info = {
+            chatId,
+            chatName: summary.chatName || `+${chatId.split('@')[0]}`,
+            timeZone,
+            from,
+            to,
+            exportedAt,
+            messageCount: summary.count
+        };
+        const renderer = EXPORT_RENDERERS[format](info);
+        const baseName = `WhatsApp Chat with ${info.chatName}`.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_');
+        const writeTranscript = async (stream, mediaNames) => {
+            await writeExportChunk(stream, renderer.head);
+            await forEachExportPage(userId, chatId, range, messages => writeExportChunk(
+                stream,
+                messages.map(message => renderer.message(message, mediaNames.get(message.id))).join('')
+            ));
+            stream.end(renderer.tail);
+        };
+        
+        if (!req.query.media) {
+            res.attachment(`${baseName}.${format}`);
+            res.type(EXPORT_CONTENT_TYPES[format]);
+            await writeTranscript(res, new Map());
+            
+            console.log(`📦 Exported ${info.messageCount} messages of ${chatId} for user ${userId}`);
+            return;
+        }
+        
+        const zip = archiver('zip');
+        zip.on('warning', error => console.error('⚠️ Chat export zip warning:', error.message));
+        zip.on('error', error => {
+            console.error('❌ Chat export zip failed:', error.message);
+            res.destroy(error);
+        });
+        
+        res.attachment(`${baseName}.zip`);
+        zip.pipe(res);
+        
+        // Media goes first, one file at a time, so the transcript can name
+        // exactly the files that made it into the zip
+        const nameMedia = createExportMediaNamer(timeZone);
+        const mediaNames = new Map();
+        let missing = 0;
+        
+        await forEachExportPage(userId, chatId, range, async (messages) => {
+            for (const message of messages) {
+                if (!message.hasMedia || message.revokedAt) continue;
+                
+                const name = await addExportMedia(zip, userId, message, nameMedia);
+                
+                if (name) {
+                    mediaNames.set(message.id, name);
+                } else {
+                    missing++;
+                }
+            }
+        });
+        
+        if (missing > 0) {
+            console.log(`⚠️ Chat export for user ${userId}: ${missing} media files unavailable`);
+        }
+        
+        const transcript = new PassThrough();
+        zip.append(transcript, { name: `${baseName}.${format}` });
+        await writeTranscript(transcript, mediaNames);
+        await zip.finalize();
+        
+        console.log(`📦 Exported ${info.messageCount} messages and ${mediaNames.size} media files of ${chatId} for user ${userId}`);
+    } catch (error) {
+        console.error('Error exporting chat:', error);
+        
+        // Failed while streaming the zip
+        if (res.headersSent) {
+            return res.destroy();
+        }
+        
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        
+        res.status(500).json({ error: 'Failed to export chat', details: error.message });
+    }
+});
+
+// ============================================
+// MESSAGE ACTIONS (reply, react, edit, forward, delete)
+// ============================================
+
+// Serialized ids as returned by /messages/:chatId, e.g. "true_962...@c.us_3EB0..."
+function messageIdParam() {
+    return param('messageId')
+        .matches(/^(true|false)_[^\s\/]{1,200}$/).withMessage('Invalid message ID');
+}
+
+// Resolve :messageId to the user's Message (req.targetMessage)
+async function loadTargetMessage(req, res, next) {
+    try {
+        const client = whatsappClients.get(req.user.id);
+        
+        if (!client) {
+            return res.status(503).json({ error: 'WhatsApp not connected' });
+        }
+        
+        const message = await client.getMessageById(req.params.messageId);
+        
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        
+        req.targetMessage = message;
+        next();
+    } catch (error) {
+        console.error('Error loading message:', error);
+        res.status(500).json({ error: 'Failed to load message', details: error.message });
+    }
+}
+
+// Quote-reply to a message in its chat
+app.post('/messages/:messageId/reply',
+    authenticateUser,
+    messageLimiter,
+    [
+        messageIdParam(),
+        body('message')
+            .trim()
+            .notEmpty().withMessage('Message cannot be empty')
+            .isLength({ max: 4096 }).withMessage('Message too long (max 4096 chars)')
+    ],
+    validate,
+    loadTargetMessage,
+    async (req, res) => {
+    try {
+        const target = req.targetMessage;
+        const chatId = target.fromMe ? target.to : target.from;
+        const reply = await queueSend(req.user.id, chatId, () => target.reply(req.body.message), { text: req.body.message });
+        
+        console.log(`↩️ Reply sent for user ${req.user.id}`);
+        res.json({ success: true, message: 'Reply sent successfully', id: reply?.id?._serialized || null });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        
+        console.error('Error sending reply:', error);
+        res.status(500).json({ error: 'Failed to send reply', details: error.message });
+    }
+});
+
+// Add a reaction, or remove ours with an empty `emoji`
+app.post('/messages/:messageId/react',
+    authenticateUser,
+    messageLimiter,
+    [
+        messageIdParam(),
+        body('emoji')
+            .isString().withMessage('emoji is required ("" removes the reaction)')
+            .isLength({ max: 16 }).withMessage('emoji must be a single emoji')
+    ],
+    validate,
+    loadTargetMessage,
+    async (req, res) => {
+    try {
+        await req.targetMessage.react(req.body.emoji);
+        
+        res.json({ success: true, message: req.body.emoji ? 'Reaction added' : 'Reaction removed' });
+    } catch (error) {
+        console.error('Error reacting to message:', error);
+        res.status(500).json({ error: 'Failed to react to message', details: error.message });
+    }
+});
+
+// Edit one of our own text messages (WhatsApp allows this for 15 minutes)
+app.post('/messages/:messageId/edit',
+    authenticateUser,
+    [
+        messageIdParam(),
+        body('message')
+            .trim()
+            .notEmpty().withMessage('Message cannot be empty')
+            .isLength({ max: 4096 }).withMessage('Message too long (max 4096 chars)')
+    ],
+    validate,
+    loadTargetMessage,
+    async (req, res) => {
+    try {
+        if (!req.targetMessage.fromMe) {
+            return res.status(403).json({ error: 'Only your own messages can be edited' });
+        }
+        
+        const edited = await req.targetMessage.edit(req.body.message);
+        
+        if (!edited) {
+            return res.status(400).json({ error: 'Message can no longer be edited' });
+        }
+        
+        res.json({ success: true, message: 'Message edited' });
+    } catch (error) {
+        console.error('Error editing message:', error);
+        res.status(500).json({ error: 'Failed to edit message', details: error.message });
+    }
+});
+
+// Forward a message to another chat
+app.post('/messages/:messageId/forward',
+    authenticateUser,
+    messageLimiter,
+    [
+        messageIdParam(),
+        chatIdField(body('chatId'))
+    ],
+    validate,
+    loadTargetMessage,
+    async (req, res) => {
+    try {
+        await queueSend(req.user.id, req.body.chatId, () => req.targetMessage.forward(req.body.chatId));
+        
+        console.log(`➡️ Message forwarded for user ${req.user.id} to ${req.body.chatId}`);
+        res.json({ success: true, message: 'Message forwarded' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        
+        console.error('Error forwarding message:', error);
+        res.status(500).json({ error: 'Failed to forward message', details: error.message });
+    }
+});
+
+// Delete a message for me, or for everyone with ?everyone=true
+app.delete('/messages/:messageId',
+    authenticateUser,
+    [
+        messageIdParam(),
+        query('everyone')
+            .optional()
+            .isBoolean().withMessage('everyone must be true or false')
+    ],
+    validate,
+    loadTargetMessage,
+    async (req, res) => {
+    try {
+        const everyone = req.query.everyone === 'true';
+        
+        if (everyone && !req.targetMessage.fromMe) {
+            const chat = await req.targetMessage.getChat();
+            const me = whatsappClients.get(req.user.id).info?.wid?._serialized;
+            const isAdmin = chat.isGroup && chat.participants
+                .some(participant => participant.id._serialized === me && participant.isAdmin);
+            
+            if (!isAdmin) {
+                return res.status(403).json({ error: 'Only your own messages (or any, as a group admin) can be deleted for everyone' });
+            }
+        }
+        
+        await req.targetMessage.delete(everyone);
+        
+        res.json({ success: true, message: everyone ? 'Message deleted for everyone' : 'Message deleted for you' });
+    } catch (error) {
+        console.error('Error deleting message:', error);
+        res.status(500).json({ error: 'Failed to delete message', details: error.message });
+    }
+});
+
+// ============================================
+// WEBHOOK MANAGEMENT ENDPOINTS
+// ============================================
+
+// Get webhook configuration
+app.get('/webhook/config', authenticateUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        
+        console.log('📖 Getting webhook config for user:', userId);
+        
+        const { data: session, error } = await supabase
+            .from('whatsapp_sessions')
+            .select('webhook_url, webhook_enabled, webhook_secret, webhook_secret_previous_expires_at, webhook_token, webhook_media_inline_max_bytes')
+            .eq('user_id', userId)
+            .maybeSingle();
+        
+        if (error) {
+            console.error('Database error:', error);
+            throw error;
+        }
+        
+        // Accounts created before opaque send URLs get their token on first read
+        if (session && !session.webhook_token) {
+            session.webhook_token = generateWebhookToken();
+            
+            await supabase
+                .from('whatsapp_sessions')
+                .update({ webhook_token: session.webhook_token })
+                .eq('user_id', userId);
+        }
+        
+        const previousExpiresAt = session?.webhook_secret_previous_expires_at;
+        
+        const baseUrl = `${req.protocol}://${req.get('host')}`;
+        
+        res.json({
+            success: true,
+            webhook_url: session?.webhook_url || null,
+            webhook_enabled: session?.webhook_enabled || false,
+            webhook_secret: session?.webhook_secret || null,
+            media_inline_max_bytes: session?.webhook_media_inline_max_bytes || 0,
+            previous_secret_expires_at: previousExpiresAt && new Date(previousExpiresAt) > new Date()
+                ? previousExpiresAt
+                : null,
+            outgoing_webhook_url: session?.webhook_token
+                ? `${baseUrl}/webhook/send/${session.webhook_token}`
+                : null
+        });
+    } catch (error) {
+        console.error('❌ Error getting webhook config:', error);
+        res.status(500).json({ 
+            error: 'Failed to get webhook config',
+            details: error.message 
+        });
+    }
+});
+
+// Update webhook configuration
+app.post('/webhook/config', 
+    authenticateUser,
+    [
+        body('webhook_url')
+            .optional()
+            .trim()
+            .isURL().withMessage('Invalid webhook URL'),
+        body('webhook_enabled')
+            .optional()
+            .isBoolean().withMessage('webhook_enabled must be boolean'),
+        body('media_inline_max_bytes')
+            .optional()
+            .isInt({ min: 0, max: MEDIA_INLINE_LIMIT_BYTES })
+            .withMessage(`media_inline_max_bytes must be between 0 and ${MEDIA_INLINE_LIMIT_BYTES}`)
+            .toInt()
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { webhook_url, webhook_enabled, media_inline_max_bytes } = req.body;
+        
+        console.log('📝 Saving webhook config for user:', userId);
+        console.log('Webhook URL:', webhook_url);
+        console.log('Enabled:', webhook_enabled);
+        
+        // First, check if user has a session record
+        const { data: existingSession } = await supabase
+            .from('whatsapp_sessions')
+            .select('id, webhook_secret, webhook_token')
+            .eq('user_id', userId)
+            .single();
+        
+        // Keep the existing secret; only generate one the first time.
+        // Use POST /webhook/secret/rotate to change it
+        const isNewSecret = !existingSession?.webhook_secret;
+        const webhook_secret = isNewSecret
+            ? generateWebhookSecret()
+            : existingSession.webhook_secret;
+        const webhook_token = existingSession?.webhook_token || generateWebhookToken();
+        
+        let result;
+        
+        if (existingSession) {
+            // Update existing record
+            result = await supabase
+                .from('whatsapp_sessions')
+                .update({
+                    webhook_url: webhook_url || null,
+                    webhook_enabled: webhook_enabled || false,
+                    webhook_secret: webhook_secret,
+                    webhook_token: webhook_token,
+                    ...(media_inline_max_bytes !== undefined && { webhook_media_inline_max_bytes: media_inline_max_bytes }),
+                    updated_at: new Date().toISOString()
+                })
+                .eq('user_id', userId);
+        } else {
+            // Insert new record
+            result = await supabase
+                .from('whatsapp_sessions')
+                .insert({
+                    user_id: userId,
+                    webhook_url: webhook_url || null,
+                    webhook_enabled: webhook_enabled || false,
+                    webhook_secret: webhook_secret,
+                    webhook_token: webhook_token,
+                    webhook_media_inline_max_bytes: media_inline_max_bytes || 0,
+                    is_connected: false,
+                    created_at: new Date().toISOString(),
+                    updated_at: new Date().toISOString()
+                });
+        }
+        
+        if (result.error) {
+            console.error('❌ Database error:', result.error);
+            throw result.error;
+        }
+        
+        // Update in-memory webhooks
+        await loadUserWebhooks(userId);
+        
+        if (webhook_enabled && webhook_url) {
+            console.log(`✅ Webhook configured for user ${userId}`);
+        } else {
+            console.log(`🔕 Webhook disabled for user ${userId}`);
+        }
+        
+        const response = {
+            success: true,
+            message: 'Webhook configured successfully'
+        };
+        
+        if (isNewSecret && webhook_enabled && webhook_url) {
+            response.webhook_secret = webhook_secret;
+            response.note = '⚠️ Save this secret! You will not see it again.';
+        }
+        
+        res.json(response);
+    } catch (error) {
+        console.error('❌ Error configuring webhook:', error);
+        res.status(500).json({ 
+            error: 'Failed to configure webhook',
+            details: error.message 
+        });
+    }
+});
+
+// Rotate the webhook secret. The old secret stays valid for the grace period
+// so /webhook/send callers and signature verifiers can be updated
+app.post('/webhook/secret/rotate',
+    authenticateUser,
+    [
+        body('grace_period_minutes')
+            .optional()
+            .isInt({ min: 0, max: WEBHOOK_SECRET_MAX_GRACE_MINUTES })
+            .withMessage(`grace_period_minutes must be between 0 and ${WEBHOOK_SECRET_MAX_GRACE_MINUTES}`)
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const graceMinutes = req.body.grace_period_minutes !== undefined
+            ? parseInt(req.body.grace_period_minutes, 10)
+            : WEBHOOK_SECRET_GRACE_MINUTES;
+        
+        const { data: session, error: selectError } = await supabase
+            .from('whatsapp_sessions')
+            .select('webhook_secret')
+            .eq('user_id', userId)
+            .maybeSingle();
+        
+        if (selectError) {
+            throw selectError;
+        }
+        
+        if (!session || !session.webhook_secret) {
+            return res.status(400).json({ error: 'No webhook secret to rotate. Save your webhook configuration first.' });
+        }
+        
+        const webhook_secret = generateWebhookSecret();
+        const previousExpiresAt = graceMinutes > 0
+            ? new Date(Date.now() + graceMinutes * 60 * 1000).toISOString()
+            : null;
+        
+        const { error } = await supabase
+            .from('whatsapp_sessions')
+            .update({
+                webhook_secret,
+                webhook_secret_previous: graceMinutes > 0 ? session.webhook_secret : null,
+                webhook_secret_previous_expires_at: previousExpiresAt,
+                updated_at: new Date().toISOString()
+            })
+            .eq('user_id', userId);
+        
+        if (error) {
+            throw error;
+        }
+        
+        await loadUserWebhooks(userId);
+        
+        console.log(`🔄 Webhook secret rotated for user ${userId} (grace: ${graceMinutes} min)`);
+        
+        res.json({
+            success: true,
+            message: 'Webhook secret rotated',
+            webhook_secret,
+            previous_secret_expires_at: previousExpiresAt
+        });
+    } catch (error) {
+        console.error('❌ Error rotating webhook secret:', error);
+        res.status(500).json({ 
+            error: 'Failed to rotate webhook secret',
+            details: error.message 
+        });
+    }
+});
+
+// Test webhook (all endpoints, or one with `endpoint_id`)
+app.post('/webhook/test',
+    authenticateUser,
+    [
+        body('endpoint_id')
+            .optional()
+            .isInt().withMessage('Invalid endpoint ID')
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const webhook = await getUserWebhook(userId);
+        
+        const endpointIds = req.body.endpoint_id !== undefined
+            ? [parseInt(req.body.endpoint_id, 10)]
+            : webhook.endpoints.map(endpoint => endpoint.id);
+        
+        const testData = {
+            event: 'test',
+            timestamp: new Date().toISOString(),
+            message: 'This is a test webhook from WhatsApp Manager',
+            user_id: userId
+        };
+        
+        const queued = await sendToWebhook(userId, testData, endpointIds);
+        
+        if (!queued) {
+            return res.status(400).json({ error: 'No enabled webhook endpoint to test' });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Test webhook sent',
+            endpoints: queued
+        });
+    } catch (error) {
+        console.error('Error testing webhook:', error);
+        res.status(500).json({ error: 'Failed to send test webhook' });
+    }
+});
+
+// List queued webhook deliveries (e.g. ?status=dead for the dead-letter queue)
+app.get('/webhook/deliveries',
+    authenticateUser,
+    [
+        query('status')
+            .optional()
+            .isIn(['pending', 'delivered', 'dead']).withMessage('status must be pending, delivered or dead'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const limit = parseInt(req.query.limit, 10) || 50;
+        
+        let deliveriesQuery = supabase
+            .from('webhook_deliveries')
+            .select('id, endpoint_id, event, ordering_key, status, attempts, last_status, last_error, next_attempt_at, delivered_at, created_at')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        
+        if (req.query.status) {
+            deliveriesQuery = deliveriesQuery.eq('status', req.query.status);
+        }
+        
+        const { data: deliveries, error } = await deliveriesQuery;
+        
+        if (error) {
+            throw error;
+        }
+        
+        res.json({ success: true, deliveries });
+    } catch (error) {
+        console.error('❌ Error listing webhook deliveries:', error);
+        res.status(500).json({ 
+            error: 'Failed to list webhook deliveries',
+            details: error.message 
+        });
+    }
+});
+
+// Requeue a dead delivery for another round of attempts
+app.post('/webhook/deliveries/:id/retry',
+    authenticateUser,
+    [
+        param('id')
+            .isInt().withMessage('Invalid delivery ID')
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        
+        const { data: delivery, error } = await supabase
+            .from('webhook_deliveries')
+            .update({
+                status: 'pending',
+                attempts: 0,
+                next_attempt_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', req.params.id)
+            .eq('user_id', userId)
+            .eq('status', 'dead')
+            .select('id')
+            .maybeSingle();
+        
+        if (error) {
+            throw error;
+        }
+        
+        if (!delivery) {
+            return res.status(404).json({ error: 'Dead delivery not found' });
+        }
+        
+        processWebhookQueue();
+        
+        res.json({ success: true, message: 'Delivery requeued' });
+    } catch (error) {
+        console.error('❌ Error retrying webhook delivery:', error);
+        res.status(500).json({ 
+            error: 'Failed to retry webhook delivery',
+            details: error.message 
+        });
+    }
+});
+
+// List webhook logs with filters and pagination
+app.get('/webhook/logs',
+    authenticateUser,
+    [
+        query('status')
+            .optional()
+            .matches(/^(success|failed|[1-5]xx|\d{3})$/).withMessage('status must be success, failed, 2xx-style class or an HTTP code'),
+        query('direction')
+            .optional()
+            .isIn(['incoming', 'outgoing']).withMessage('direction must be incoming or outgoing'),
+        query('event')
+            .optional()
+            .trim()
+            .isLength({ max: 50 }).withMessage('Invalid event'),
+        query('from')
+            .optional()
+            .isISO8601().withMessage('from must be an ISO 8601 date')
+            .bail()
+            .custom(value => !Number.isNaN(Date.parse(value))).withMessage('from must be an ISO 8601 date'),
+        query('to')
+            .optional()
+            .isISO8601().withMessage('to must be an ISO 8601 date')
+            .bail()
+            .custom(value => !Number.isNaN(Date.parse(value))).withMessage('to must be an ISO 8601 date'),
+        query('page')
+            .optional()
+            .isInt({ min: 1 }).withMessage('page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { status, direction, event, from, to } = req.query;
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 25;
+        const offset = (page - 1) * limit;
+        
+        let logsQuery = supabase
+            .from('webhook_logs')
+            .select('id, endpoint_id, direction, status, event:payload->>event, created_at', { count: 'exact' })
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+        
+        if (status && status.endsWith('xx')) {
+            logsQuery = logsQuery.like('status', `${status[0]}%`);
+        } else if (status) {
+            logsQuery = logsQuery.eq('status', status);
+        }
+        
+        if (direction) {
+            logsQuery = logsQuery.eq('direction', direction);
+        }
+        
+        if (event) {
+            logsQuery = logsQuery.eq('payload->>event', event);
+        }
+        
+        // isISO8601 also accepts week and ordinal dates, so hand Postgres the
+        // normalized form
+        if (from) {
+            logsQuery = logsQuery.gte('created_at', new Date(from).toISOString());
+        }
+        
+        if (to) {
+            logsQuery = logsQuery.lte('created_at', new Date(to).toISOString());
+        }
+        
+        const { data: logs, count, error } = await logsQuery;
+        
+        if (error) {
+            throw error;
+        }
+        
+        res.json({
+            success: true,
+            logs,
+            pagination: {
+                page,
+                limit,
+                total: count,
+                pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error listing webhook logs:', error);
+        res.status(500).json({ 
+            error: 'Failed to list webhook logs',
+            details: error.message 
+        });
+    }
+});
+
+// Get a single webhook log with its full payload and response
+app.get('/webhook/logs/:id',
+    authenticateUser,
+    [
+        param('id')
+            .isInt().withMessage('Invalid log ID')
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        
+        const { data: log, error } = await supabase
+            .from('webhook_logs')
+            .select('*')
+            .eq('id', req.params.id)
+            .eq('user_id', userId)
+            .maybeSingle();
+        
+        if (error) {
+            throw error;
+        }
+        
+        if (!log) {
+            return res.status(404).json({ error: 'Webhook log not found' });
+        }
+        
+        res.json({ success: true, log });
+    } catch (error) {
+        console.error('❌ Error getting webhook log:', error);
+        res.status(500).json({ 
+            error: 'Failed to get webhook log',
+            details: error.message 
+        });
+    }
+});
+
+// Resend a logged delivery's payload (to its original endpoint, or `endpoint_id`)
+app.post('/webhook/logs/:id/replay',
+    authenticateUser,
+    [
+        param('id')
+            .isInt().withMessage('Invalid log ID'),
+        body('endpoint_id')
+            .optional({ values: 'null' })
+            .isInt().withMessage('Invalid endpoint ID')
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        
+        const { data: log, error } = await supabase
+            .from('webhook_logs')
+            .select('id, endpoint_id, direction, payload')
+            .eq('id', req.params.id)
+            .eq('user_id', userId)
+            .maybeSingle();
+        
+        if (error) {
+            throw error;
+        }
+        
+        if (!log) {
+            return res.status(404).json({ error: 'Webhook log not found' });
+        }
+        
+        if (log.direction !== 'incoming') {
+            return res.status(400).json({ error: 'Only deliveries to your webhooks can be replayed' });
+        }
+        
+        await getUserWebhook(userId);
+        
+        const endpointId = req.body.endpoint_id !== undefined
+            ? (req.body.endpoint_id === null ? null : parseInt(req.body.endpoint_id, 10))
+            : (log.endpoint_id ?? null);
+        
+        const queued = await sendToWebhook(userId, log.payload, [endpointId]);
+        
+        if (!queued) {
+            return res.status(400).json({ error: 'Webhook endpoint disabled or removed' });
+        }
+        
+        console.log(`🔁 Replayed webhook log ${log.id} for user ${userId}`);
+        res.json({ success: true, message: 'Webhook replay queued' });
+    } catch (error) {
+        console.error('❌ Error replaying webhook log:', error);
+        res.status(500).json({ 
+            error: 'Failed to replay webhook',
+            details: error.message 
+        });
+    }
+});
+
+// ============================================
+// WEBHOOK ENDPOINTS (multiple per account)
+// ============================================
+
+// On update every field is optional; on create name and url are required
+const endpointValidators = (isUpdate) => {
+    const requiredOnCreate = (chain) => isUpdate ? chain.optional() : chain;
+    
+    return [
+        requiredOnCreate(body('name'))
+            .trim()
+            .notEmpty().withMessage('Name is required')
+            .isLength({ max: 100 }).withMessage('Name too long (max 100 chars)'),
+        requiredOnCreate(body('url'))
+            .trim()
+            .isURL().withMessage('Invalid webhook URL'),
+        body('events')
+            .optional()
+            .isArray().withMessage('events must be an array'),
+        body('events.*')
+            .isIn(WEBHOOK_EVENTS).withMessage(`Unknown event (allowed: ${WEBHOOK_EVENTS.join(', ')})`),
+        body('chat_ids')
+            .optional()
+            .isArray().withMessage('chat_ids must be an array'),
+        body('chat_ids.*')
+            .trim()
+            .matches(/^[\d\-]+@[cg]\.us$/).withMessage('Invalid chat ID format'),
+        body('enabled')
+            .optional()
+            .isBoolean().withMessage('enabled must be boolean'),
+        ...filterValidators('filters')
+    ];
+};
+
+// Filter rules, shared by the endpoint routes and the dry-run
+const filterValidators = (field) => [
+    body(field)
+        .optional()
+        .isObject().withMessage(`${field} must be an object`),
+    body(`${field}.chatType`)
+        .optional()
+        .isIn(['all', 'direct', 'group']).withMessage('chatType must be all, direct or group'),
+    body([`${field}.allowNumbers`, `${field}.denyNumbers`, `${field}.keywords`])
+        .optional()
+        .isArray({ max: 500 }).withMessage('Number and keyword lists must be arrays (max 500 items)'),
+    body([`${field}.allowNumbers.*`, `${field}.denyNumbers.*`])
+        .trim()
+        .matches(/^\+?[\d\s\-()]{5,20}$/).withMessage('Invalid phone number in filter list'),
+    body(`${field}.keywords.*`)
+        .isString().withMessage('Keywords must be strings')
+        .trim()
+        .isLength({ min: 1, max: 100 }).withMessage('Keywords must be 1-100 chars'),
+    body(`${field}.regex`)
+        .optional({ values: 'falsy' })
+        .isString().withMessage('regex must be a string')
+        .isLength({ max: 200 }).withMessage('regex too long (max 200 chars)')
+        .custom(value => {
+            new RegExp(value, 'i');
+            return true;
+        }).withMessage('Invalid regex')
+        .bail()
+        .custom(value => safeRegex(value))
+        .withMessage('regex is too expensive to run (nested repetition like (a+)+ is not allowed)'),
+    body([`${field}.hasMedia`, `${field}.fromMe`])
+        .optional({ values: 'null' })
+        .isBoolean({ strict: true }).withMessage('hasMedia and fromMe must be true, false or null')
+];
+
+// Keep only the known filter keys before storing
+function pickWebhookFilters(filters) {
+    if (!filters) {
+        return {};
+    }
+    
+    return {
+        chatType: filters.chatType || 'all',
+        allowNumbers: filters.allowNumbers || [],
+        denyNumbers: filters.denyNumbers || [],
+        keywords: filters.keywords || [],
+        regex: filters.regex || '',
+        hasMedia: typeof filters.hasMedia === 'boolean' ? filters.hasMedia : null,
+        fromMe: typeof filters.fromMe === 'boolean' ? filters.fromMe : null
+    };
+}
+
+function formatEndpoint(endpoint) {
+    return {
+        id: endpoint.id,
+        name: endpoint.name,
+        url: endpoint.url,
+        events: endpoint.events || [],
+        chat_ids: endpoint.chat_ids || [],
+        filters: pickWebhookFilters(endpoint.filters),
+        enabled: endpoint.enabled,
+        created_at: endpoint.created_at,
+        updated_at: endpoint.updated_at
+    };
+}
+
+// List webhook endpoints
+app.get('/webhook/endpoints', authenticateUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        
+        const { data: endpoints, error } = await supabase
+            .from('webhook_endpoints')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: true });
+        
+        if (error) {
+            throw error;
+        }
+        
+        res.json({
+            success: true,
+            events: WEBHOOK_EVENTS,
+            endpoints: endpoints.map(formatEndpoint)
+        });
+    } catch (error) {
+        console.error('❌ Error listing webhook endpoints:', error);
+        res.status(500).json({ 
+            error: 'Failed to list webhook endpoints',
+            details: error.message 
+        });
+    }
+});
+
+// Create webhook endpoint
+app.post('/webhook/endpoints',
+    authenticateUser,
+    endpointValidators(false),
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { name, url, events, chat_ids, filters, enabled } = req.body;
+        
+        const { data: endpoint, error } = await supabase
+            .from('webhook_endpoints')
+            .insert({
+                user_id: userId,
+                name,
+                url,
+                events: events || [],
+                chat_ids: chat_ids || [],
+                filters: pickWebhookFilters(filters),
+                enabled: enabled !== undefined ? enabled : true,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .select('*')
+            .single();
+        
+        if (error) {
+            throw error;
+        }
+        
+        await loadUserWebhooks(userId);
+        
+        console.log(`✅ Webhook endpoint "${name}" created for user ${userId}`);
+        res.status(201).json({ success: true, endpoint: formatEndpoint(endpoint) });
+    } catch (error) {
+        console.error('❌ Error creating webhook endpoint:', error);
+        res.status(500).json({ 
+            error: 'Failed to create webhook endpoint',
+            details: error.message 
+        });
+    }
+});
+
+// Update webhook endpoint (only the fields provided)
+app.put('/webhook/endpoints/:id',
+    authenticateUser,
+    [
+        param('id')
+            .isInt().withMessage('Invalid endpoint ID'),
+        ...endpointValidators(true)
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const update = { updated_at: new Date().toISOString() };
+        
+        for (const field of ['name', 'url', 'events', 'chat_ids', 'enabled']) {
+            if (req.body[field] !== undefined) {
+                update[field] = req.body[field];
+            }
+        }
+        
+        if (req.body.filters !== undefined) {
+            update.filters = pickWebhookFilters(req.body.filters);
+        }
+        
+        const { data: endpoint, error } = await supabase
+            .from('webhook_endpoints')
+            .update(update)
+            .eq('id', req.params.id)
+            .eq('user_id', userId)
+            .select('*')
+            .maybeSingle();
+        
+        if (error) {
+            throw error;
+        }
+        
+        if (!endpoint) {
+            return res.status(404).json({ error: 'Webhook endpoint not found' });
+        }
+        
+        await loadUserWebhooks(userId);
+        
+        res.json({ success: true, endpoint: formatEndpoint(endpoint) });
+    } catch (error) {
+        console.error('❌ Error updating webhook endpoint:', error);
+        res.status(500).json({ 
+            error: 'Failed to update webhook endpoint',
+            details: error.message 
+        });
+    }
+});
+
+// Delete webhook endpoint
+app.delete('/webhook/endpoints/:id',
+    authenticateUser,
+    [
+        param('id')
+            .isInt().withMessage('Invalid endpoint ID')
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        
+        const { data: endpoint, error } = await supabase
+            .from('webhook_endpoints')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('user_id', userId)
+            .select('id')
+            .maybeSingle();
+        
+        if (error) {
+            throw error;
+        }
+        
+        if (!endpoint) {
+            return res.status(404).json({ error: 'Webhook endpoint not found' });
+        }
+        
+        await loadUserWebhooks(userId);
+        
+        res.json({ success: true, message: 'Webhook endpoint deleted' });
+    } catch (error) {
+        console.error('❌ Error deleting webhook endpoint:', error);
+        res.status(500).json({ 
+            error: 'Failed to delete webhook endpoint',
+            details: error.message 
+        });
+    }
+});
+
+// Check whether a sample event would be delivered to an endpoint, using
+// either a saved endpoint's rules or unsaved ones from the edit form
+app.post('/webhook/filters/dry-run',
+    authenticateUser,
+    [
+        body('endpoint_id')
+            .optional({ values: 'null' })
+            .isInt().withMessage('Invalid endpoint ID'),
+        body('event')
+            .optional()
+            .isIn(WEBHOOK_EVENTS).withMessage('Unknown event'),
+        body('events')
+            .optional()
+            .isArray().withMessage('events must be an array'),
+        body('chat_ids')
+            .optional()
+            .isArray().withMessage('chat_ids must be an array'),
+        ...filterValidators('filters'),
+        body('data')
+            .isObject().withMessage('data must be a sample event payload'),
+        body(['data.from', 'data.to'])
+            .optional()
+            .trim()
+            .matches(/^[\d\-]+@[cg]\.us$/).withMessage('Invalid chat ID format')
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const event = req.body.event || 'message_received';
+        const data = req.body.data;
+        let endpoint;
+        
+        if (req.body.endpoint_id) {
+            const webhook = await getUserWebhook(userId);
+            endpoint = webhook.endpoints.find(e => String(e.id) === String(req.body.endpoint_id));
+            
+            if (!endpoint) {
+                return res.status(404).json({ error: 'Webhook endpoint not found or disabled' });
+            }
+        } else {
+            endpoint = {
+                events: req.body.events && req.body.events.length ? req.body.events : null,
+                chatIds: req.body.chat_ids && req.body.chat_ids.length ? req.body.chat_ids : null,
+                filters: compileWebhookFilters(pickWebhookFilters(req.body.filters))
+            };
+        }
+        
+        const chatId = getOrderingKey({ data });
+        const reason = getEndpointRejection(endpoint, event, chatId, data);
+        
+        res.json({
+            success: true,
+            matched: reason === null,
+            reason
+        });
+    } catch (error) {
+        console.error('❌ Error running webhook filter dry-run:', error);
+        res.status(500).json({ 
+            error: 'Failed to run webhook filter dry-run',
+            details: error.message 
+        });
+    }
+});
+
+// ============================================
+// BROADCASTS (bulk sends with pacing)
+// ============================================
+
+// Jobs live in `broadcasts` / `broadcast_recipients`, so progress survives
+// restarts. Each user runs at most one broadcast at a time, one send after
+// another, waiting `delay_ms` plus a random 0..`jitter_ms` between sends
+const BROADCAST_MAX_RECIPIENTS = 1000;
+const BROADCAST_DEFAULT_DELAY_MS = 5 * 1000;
+const BROADCAST_DEFAULT_JITTER_MS = 3 * 1000;
+const BROADCAST_MIN_DELAY_MS = 1000;
+const BROADCAST_MAX_DELAY_MS = 5 * 60 * 1000;
+const BROADCAST_BATCH = 50;
+const BROADCAST_POLL_INTERVAL_MS = 10 * 1000;
+
+// Columns needed to run or list a broadcast (media is loaded separately)
+const BROADCAST_COLUMNS = 'id, user_id, name, status, message, media_mimetype, media_filename, delay_ms, jitter_ms, total_count, sent_count, failed_count, error, created_at, started_at, completed_at, updated_at';
+
+const broadcastRunners = new Map(); // broadcastId -> { userId, status }
+
+function isClientReady(userId) {
+    return whatsappClients.has(userId) && !!clientStates.get(userId)?.ready;
+}
+
+function getBroadcastDelay(broadcast) {
+    return broadcast.delay_ms + Math.floor(Math.random() * (broadcast.jitter_ms + 1));
+}
+
+// Send to the remaining recipients until done, paused, cancelled or the
+// session disconnects (the poller picks it up again once reconnected)
+async function runBroadcast(broadcast) {
+    const runner = { userId: broadcast.user_id, status: 'running' };
+    broadcastRunners.set(broadcast.id, runner);
+    
+    let sent = broadcast.sent_count;
+    let failed = broadcast.failed_count;
+    
+    try {
+        console.log(`📣 Running broadcast ${broadcast.id} for user ${broadcast.user_id}`);
+        
+        let media = null;
+        
+        if (broadcast.media_mimetype) {
+            const { data, error } = await supabase
+                .from('broadcasts')
+                .select('media_data')
+                .eq('id', broadcast.id)
+                .single();
+            
+            if (error) {
+                throw error;
+            }
+            
+            media = new MessageMedia(broadcast.media_mimetype, data.media_data, broadcast.media_filename || 'file');
+        }
+        
+        if (!broadcast.started_at) {
+            await supabase
+                .from('broadcasts')
+                .update({ started_at: new Date().toISOString() })
+                .eq('id', broadcast.id);
+        }
+        
+        while (runner.status === 'running') {
+            const { data: recipients, error } = await supabase
+                .from('broadcast_recipients')
+                .select('id, chat_id')
+                .eq('broadcast_id', broadcast.id)
+                .eq('status', 'pending')
+                .order('id', { ascending: true })
+                .limit(BROADCAST_BATCH);
+            
+            if (error) {
+                throw error;
+            }
+            
+            if (recipients.length === 0) {
+                await supabase
+                    .from('broadcasts')
+                    .update({
+                        status: 'completed',
+                        completed_at: new Date().toISOString(),
+                        updated_at: new Date().toISOString()
+                    })
+                    .eq('id', broadcast.id)
+                    .eq('status', 'running');
+                
+                console.log(`✅ Broadcast ${broadcast.id} completed: ${sent} sent, ${failed} failed`);
+                return;
+            }
+            
+            for (const recipient of recipients) {
+                if (runner.status !== 'running') {
+                    break;
+                }
+                
+                if (!isClientReady(broadcast.user_id)) {
+                    console.log(`⏸️ Broadcast ${broadcast.id} waiting for WhatsApp to reconnect`);
+                    return;
+                }
+                
+                const update = { attempted_at: new Date().toISOString() };
+                
+                try {
+                    const message = media
+                        ? await queueMessage(broadcast.user_id, recipient.chat_id, media, { caption: broadcast.message || '' })
+                        : await queueMessage(broadcast.user_id, recipient.chat_id, broadcast.message);
+                    
+                    update.status = 'sent';
+                    update.message_id = message?.id?._serialized || null;
+                    sent++;
+                } catch (error) {
+                    console.error(`❌ Broadcast ${broadcast.id} failed for ${recipient.chat_id}:`, error.message);
+                    update.status = 'failed';
+                    update.error = error.message;
+                    failed++;
+                }
+                
+                await supabase
+                    .from('broadcast_recipients')
+                    .update(update)
+                    .eq('id', recipient.id);
+                
+                await supabase
+                    .from('broadcasts')
+                    .update({ sent_count: sent, failed_count: failed, updated_at: new Date().toISOString() })
+                    .eq('id', broadcast.id);
+                
+                await new Promise(resolve => setTimeout(resolve, getBroadcastDelay(broadcast)));
+            }
+        }
+        
+        console.log(`⏸️ Broadcast ${broadcast.id} stopped (${runner.status})`);
+    } catch (error) {
+        console.error(`❌ Broadcast ${broadcast.id} failed:`, error.message);
+        
+        await supabase
+            .from('broadcasts')
+            .update({ status: 'failed', error: error.message, updated_at: new Date().toISOString() })
+            .eq('id', broadcast.id);
+    } finally {
+        broadcastRunners.delete(broadcast.id);
+    }
+}
+
+// Start running broadcasts whose session is connected and that aren't
+// already running here (after a restart, resume or reconnect)
+async function processBroadcasts() {
+    try {
+        const { data: broadcasts, error } = await supabase
+            .from('broadcasts')
+            .select(BROADCAST_COLUMNS)
+            .eq('status', 'running')
+            .order('created_at', { ascending: true })
+            .limit(100);
+        
+        if (error) {
+            throw error;
+        }
+        
+        for (const broadcast of broadcasts) {
+            const userBusy = [...broadcastRunners.values()].some(runner => runner.userId === broadcast.user_id);
+            
+            if (broadcastRunners.has(broadcast.id) || userBusy || !isClientReady(broadcast.user_id)) {
+                continue;
+            }
+            
+            runBroadcast(broadcast);
+        }
+    } catch (error) {
+        console.error('❌ Broadcast poller error:', error.message);
+    }
+}
+
+setInterval(processBroadcasts, BROADCAST_POLL_INTERVAL_MS);
+
+function formatBroadcast(broadcast) {
+    const done = broadcast.sent_count + broadcast.failed_count;
+    
+    return {
+        id: broadcast.id,
+        name: broadcast.name,
+        status: broadcast.status,
+        message: broadcast.message,
+        media: broadcast.media_mimetype
+            ? { mimetype: broadcast.media_mimetype, filename: broadcast.media_filename }
+            : null,
+        delay_ms: broadcast.delay_ms,
+        jitter_ms: broadcast.jitter_ms,
+        progress: {
+            total: broadcast.total_count,
+            sent: broadcast.sent_count,
+            failed: broadcast.failed_count,
+            remaining: ['completed', 'cancelled'].includes(broadcast.status) ? 0 : broadcast.total_count - done,
+            percent: broadcast.total_count ? Math.round(done / broadcast.total_count * 100) : 0
+        },
+        waiting_for_connection: broadcast.status === 'running' && !isClientReady(broadcast.user_id),
+        error: broadcast.error,
+        created_at: broadcast.created_at,
+        started_at: broadcast.started_at,
+        completed_at: broadcast.completed_at,
+        updated_at: broadcast.updated_at
+    };
+}
+
+// Recipients may be an array, or (multipart) a JSON array / comma or
+// newline separated string
+function parseRecipientList(value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    
+    try {
+        const parsed = JSON.parse(value);
+        
+        if (Array.isArray(parsed)) {
+            return parsed;
+        }
+    } catch (error) {
+        // Not JSON, fall through to a plain list
+    }
+    
+    return value.split(/[\n,]/).map(item => item.trim()).filter(Boolean);
+}
+
+// Create a broadcast and start it as soon as the session is connected.
+// Accepts JSON or multipart/form-data (same media options as /webhook/send)
+app.post('/broadcasts',
+    authenticateUser,
+    messageLimiter,
+    uploadMediaFile,
+    [
+        body('name')
+            .optional()
+            .trim()
+            .isLength({ max: 100 }).withMessage('Name too long (max 100 chars)'),
+        body('recipients')
+            .customSanitizer(parseRecipientList)
+            .isArray({ min: 1, max: BROADCAST_MAX_RECIPIENTS })
+            .withMessage(`recipients must be a list of 1-${BROADCAST_MAX_RECIPIENTS} numbers or chat IDs`),
+        chatIdField(body('recipients.*')),
+        body('message')
+            .optional()
+            .trim()
+            .isLength({ max: 4096 }).withMessage('Message too long (max 4096 chars)'),
+        body('media.url')
+            .optional()
+            .isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('media.url must be an http(s) URL'),
+        body('delay_ms')
+            .optional()
+            .isInt({ min: BROADCAST_MIN_DELAY_MS, max: BROADCAST_MAX_DELAY_MS })
+            .withMessage(`delay_ms must be between ${BROADCAST_MIN_DELAY_MS} and ${BROADCAST_MAX_DELAY_MS}`)
+            .toInt(),
+        body('jitter_ms')
+            .optional()
+            .isInt({ min: 0, max: BROADCAST_MAX_DELAY_MS })
+            .withMessage(`jitter_ms must be between 0 and ${BROADCAST_MAX_DELAY_MS}`)
+            .toInt()
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { name, message } = req.body;
+        
+        let media;
+        try {
+            media = await resolveSendMedia(req);
+        } catch (error) {
+            return res.status(error.status || 500).json({ error: error.message });
+        }
+        
+        if (!message && !media) {
+            return res.status(400).json({ error: 'Either message or media is required' });
+        }
+        
+        // Recipients are normalized chat IDs by now; duplicates are sent once
+        const chatIds = [...new Set(req.body.recipients)];
+        
+        const { data: broadcast, error } = await supabase
+            .from('broadcasts')
+            .insert({
+                user_id: userId,
+                name: name || `Broadcast ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`,
+                status: 'running',
+                message: message || null,
+                media_mimetype: media ? media.mimetype : null,
+                media_filename: media ? media.filename : null,
+                media_data: media ? media.data : null,
+                delay_ms: req.body.delay_ms ?? BROADCAST_DEFAULT_DELAY_MS,
+                jitter_ms: req.body.jitter_ms ?? BROADCAST_DEFAULT_JITTER_MS,
+                total_count: chatIds.length,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .select(BROADCAST_COLUMNS)
+            .single();
+        
+        if (error) {
+            throw error;
+        }
+        
+        const { error: recipientsError } = await supabase
+            .from('broadcast_recipients')
+            .insert(chatIds.map(chatId => ({
+                broadcast_id: broadcast.id,
+                chat_id: chatId,
+                status: 'pending'
+            })));
+        
+        if (recipientsError) {
+            await supabase.from('broadcasts').delete().eq('id', broadcast.id);
+            throw recipientsError;
+        }
+        
+        console.log(`📣 Broadcast ${broadcast.id} created for user ${userId} (${chatIds.length} recipients)`);
+        
+        processBroadcasts();
+        
+        res.status(201).json({ success: true, broadcast: formatBroadcast(broadcast) });
+    } catch (error) {
+        console.error('❌ Error creating broadcast:', error);
+        res.status(500).json({ 
+            error: 'Failed to create broadcast',
+            details: error.message 
+        });
+    }
+});
+
+// List broadcasts (newest first)
+app.get('/broadcasts',
+    authenticateUser,
+    [
+        query('status')
+            .optional()
+            .isIn(['running', 'paused', 'completed', 'cancelled', 'failed']).withMessage('Invalid status'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const limit = parseInt(req.query.limit, 10) || 25;
+        
+        let broadcastsQuery = supabase
+            .from('broadcasts')
+            .select(BROADCAST_COLUMNS)
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        
+        if (req.query.status) {
+            broadcastsQuery = broadcastsQuery.eq('status', req.query.status);
+        }
+        
+        const { data: broadcasts, error } = await broadcastsQuery;
+        
+        if (error) {
+            throw error;
+        }
+        
+        res.json({ success: true, broadcasts: broadcasts.map(formatBroadcast) });
+    } catch (error) {
+        console.error('❌ Error listing broadcasts:', error);
+        res.status(500).json({ 
+            error: 'Failed to list broadcasts',
+            details: error.message 
+        });
+    }
+});
+
+// Get a broadcast with its progress
+app.get('/broadcasts/:id',
+    authenticateUser,
+    [
+        param('id')
+            .isInt().withMessage('Invalid broadcast ID')
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const { data: broadcast, error } = await supabase
+            .from('broadcasts')
+            .select(BROADCAST_COLUMNS)
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+        
+        if (error) {
+            throw error;
+        }
+        
+        if (!broadcast) {
+            return res.status(404).json({ error: 'Broadcast not found' });
+        }
+        
+        res.json({ success: true, broadcast: formatBroadcast(broadcast) });
+    } catch (error) {
+        console.error('❌ Error fetching broadcast:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch broadcast',
+            details: error.message 
+        });
+    }
+});
+
+// Per-recipient status with pagination
+app.get('/broadcasts/:id/recipients',
+    authenticateUser,
+    [
+        param('id')
+            .isInt().withMessage('Invalid broadcast ID'),
+        query('status')
+            .optional()
+            .isIn(['pending', 'sent', 'failed', 'cancelled']).withMessage('Invalid status'),
+        query('page')
+            .optional()
+            .isInt({ min: 1 }).withMessage('page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500')
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 100;
+        const offset = (page - 1) * limit;
+        
+        const { data: broadcast, error: broadcastError } = await supabase
+            .from('broadcasts')
+            .select('id')
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .maybeSingle();
+        
+        if (broadcastError) {
+            throw broadcastError;
+        }
+        
+        if (!broadcast) {
+            return res.status(404).json({ error: 'Broadcast not found' });
+        }
+        
+        let recipientsQuery = supabase
+            .from('broadcast_recipients')
+            .select('chat_id, status, message_id, error, attempted_at', { count: 'exact' })
+            .eq('broadcast_id', broadcast.id)
+            .order('id', { ascending: true })
+            .range(offset, offset + limit - 1);
+        
+        if (req.query.status) {
+            recipientsQuery = recipientsQuery.eq('status', req.query.status);
+        }
+        
+        const { data: recipients, count, error } = await recipientsQuery;
+        
+        if (error) {
+            throw error;
+        }
+        
+        res.json({
+            success: true,
+            recipients,
+            pagination: {
+                page,
+                limit,
+                total: count,
+                pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error listing broadcast recipients:', error);
+        res.status(500).json({ 
+            error: 'Failed to list broadcast recipients',
+            details: error.message 
+        });
+    }
+});
+
+// Pause, resume or cancel a broadcast. `from` lists the states the
+// action is allowed from
+const BROADCAST_ACTIONS = {
+    pause: { from: ['running'], to: 'paused' },
+    resume: { from: ['paused', 'failed'], to: 'running' },
+    cancel: { from: ['running', 'paused', 'failed'], to: 'cancelled' }
+};
+
+app.post('/broadcasts/:id/:action',
+    authenticateUser,
+    [
+        param('id')
+            .isInt().withMessage('Invalid broadcast ID'),
+        param('action')
+            .isIn(Object.keys(BROADCAST_ACTIONS)).withMessage('Action must be pause, resume or cancel')
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const id = parseInt(req.params.id, 10);
+        const action = BROADCAST_ACTIONS[req.params.action];
+        
+        const update = {
+            status: action.to,
+            error: null,
+            updated_at: new Date().toISOString()
+        };
+        
+        if (action.to === 'cancelled') {
+            update.completed_at = update.updated_at;
+        }
+        
+        const { data: broadcast, error } = await supabase
+            .from('broadcasts')
+            .update(update)
+            .eq('id', id)
+            .eq('user_id', userId)
+            .in('status', action.from)
+            .select(BROADCAST_COLUMNS)
+            .maybeSingle();
+        
+        if (error) {
+            throw error;
+        }
+        
+        if (!broadcast) {
+            return res.status(409).json({ error: `Broadcast not found or cannot ${req.params.action} it from its current state` });
+        }
+        
+        // Tell a running loop to stop after the current send (or keep going on resume)
+        const runner = broadcastRunners.get(id);
+        if (runner) {
+            runner.status = action.to;
+        }
+        
+        if (action.to === 'cancelled') {
+            await supabase
+                .from('broadcast_recipients')
+                .update({ status: 'cancelled' })
+                .eq('broadcast_id', id)
+                .eq('status', 'pending');
+        }
+        
+        if (action.to === 'running' && !runner) {
+            processBroadcasts();
+        }
+        
+        console.log(`📣 Broadcast ${id} ${action.to} by user ${userId}`);
+        res.json({ success: true, broadcast: formatBroadcast(broadcast) });
+    } catch (error) {
+        console.error(`❌ Error updating broadcast:`, error);
+        res.status(500).json({ 
+            error: 'Failed to update broadcast',
+            details: error.message 
+        });
+    }
+});
+
+// ============================================
+// SCHEDULED MESSAGES
+// ============================================
+
+// Stored in `scheduled_messages` and sent by a poller once due. Messages that
+// come due while the session is disconnected stay pending until it reconnects
+const SCHEDULED_POLL_INTERVAL_MS = 15 * 1000;
+const SCHEDULED_BATCH = 50;
+const SCHEDULED_MAX_ATTEMPTS = 3;
+const SCHEDULED_MAX_AHEAD_DAYS = 365;
+
+const SCHEDULED_COLUMNS = 'id, user_id, chat_id, message, media_mimetype, media_filename, send_at, timezone, status, attempts, message_id, error, sent_at, created_at, updated_at';
+
+let scheduledRunning = false;
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Milliseconds the zone is ahead of UTC at `date`
+function getTimeZoneOffset(timeZone, date) {
+    const parts = {};
+    
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+    
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// `send_at` with an offset ("...Z", "+03:00") is absolute; without one it is
+// a wall-clock time in `timeZone` (e.g. "2025-03-01T09:00" in "Asia/Amman")
+function resolveSendAt(sendAt, timeZone) {
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(sendAt)) {
+        return new Date(sendAt);
+    }
+    
+    const [datePart, timePart = '00:00'] = sendAt.split('T');
+    const [year, month, day] = datePart.split('-').map(Number);
+    const [hour, minute, second = 0] = timePart.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, Math.floor(second));
+    
+    // Week / ordinal dates and partial times pass isISO8601 but not this split
+    if (isNaN(wallClock)) {
+        return new Date(NaN);
+    }
+    
+    // Second pass corrects the offset when the guess lands across a DST change
+    const guess = wallClock - getTimeZoneOffset(timeZone, new Date(wallClock));
+    return new Date(wallClock - getTimeZoneOffset(timeZone, new Date(guess)));
+}
+
+function formatScheduledMessage(scheduled) {
+    return {
+        id: scheduled.id,
+        chat_id: scheduled.chat_id,
+        message: scheduled.message,
+        media: scheduled.media_mimetype
+            ? { mimetype: scheduled.media_mimetype, filename: scheduled.media_filename }
+            : null,
+        send_at: scheduled.send_at,
+        timezone: scheduled.timezone,
+        status: scheduled.status,
+        attempts: scheduled.attempts,
+        message_id: scheduled.message_id,
+        error: scheduled.error,
+        waiting_for_connection: scheduled.status === 'pending'
+            && new Date(scheduled.send_at) <= new Date()
+            && !isClientReady(scheduled.user_id),
+        sent_at: scheduled.sent_at,
+        created_at: scheduled.created_at,
+        updated_at: scheduled.updated_at
+    };
+}
+
+// Send one due message and record the outcome. The row is claimed as
+// 'sending' first, so an edit or cancel that lands after the poller fetched
+// it wins, and one made mid-send is refused instead of being overwritten
+async function sendScheduledMessage(due) {
+    const { data: scheduled, error: claimError } = await supabase
+        .from('scheduled_messages')
+        .update({ status: 'sending', updated_at: new Date().toISOString() })
+        .eq('id', due.id)
+        .eq('status', 'pending')
+        .select(SCHEDULED_COLUMNS)
+        .maybeSingle();
+    
+    if (claimError) {
+        console.error(`❌ Could not claim scheduled message ${due.id}:`, claimError.message);
+        return;
+    }
+    
+    if (!scheduled) {
+        return; // Edited into the future, cancelled or claimed since the batch was fetched
+    }
+    
+    const attempts = scheduled.attempts + 1;
+    
+    try {
+        let sent;
+        
+        if (scheduled.media_mimetype) {
+            const { data, error } = await supabase
+                .from('scheduled_messages')
+                .select('media_data')
+                .eq('id', scheduled.id)
+                .single();
+            
+            if (error) {
+                throw error;
+            }
+            
+            const media = new MessageMedia(scheduled.media_mimetype, data.media_data, scheduled.media_filename || 'file');
+            sent = await queueMessage(scheduled.user_id, scheduled.chat_id, media, { caption: scheduled.message || '' });
+        } else {
+            sent = await queueMessage(scheduled.user_id, scheduled.chat_id, scheduled.message);
+        }
+        
+        await supabase
+            .from('scheduled_messages')
+            .update({
+                status: 'sent',
+                attempts,
+                message_id: sent?.id?._serialized || null,
+                error: null,
+                sent_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', scheduled.id)
+            .eq('status', 'sending');
+        
+        console.log(`⏰ Scheduled message ${scheduled.id} sent for user ${scheduled.user_id}`);
+    } catch (error) {
+        const giveUp = attempts >= SCHEDULED_MAX_ATTEMPTS;
+        console.error(`❌ Scheduled message ${scheduled.id} failed (attempt ${attempts}):`, error.message);
+        
+        await supabase
+            .from('scheduled_messages')
+            .update({
+                status: giveUp ? 'failed' : 'pending',
+                attempts,
+                error: error.message,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', scheduled.id)
+            .eq('status', 'sending');
+    }
+}
+
+// Rows still 'sending' at startup were interrupted by a restart. They may
+// already have gone out, so fail them rather than risk a duplicate
+async function failInterruptedScheduledMessages() {
+    const { error } = await supabase
+        .from('scheduled_messages')
+        .update({
+            status: 'failed',
+            error: 'Interrupted by a server restart while sending, it may have been delivered',
+            updated_at: new Date().toISOString()
+        })
+        .eq('status', 'sending');
+    
+    if (error) {
+        console.error('❌ Could not fail interrupted scheduled messages:', error.message);
+    }
+}
+
+// Send due messages for connected sessions, oldest first
+async function processScheduledMessages() {
+    if (scheduledRunning) {
+        return;
+    }
+    
+    scheduledRunning = true;
+    
+    try {
+        const { data: due, error } = await supabase
+            .from('scheduled_messages')
+            .select(SCHEDULED_COLUMNS)
+            .eq('status', 'pending')
+            .lte('send_at', new Date().toISOString())
+            .order('send_at', { ascending: true })
+            .limit(SCHEDULED_BATCH);
+        
+        if (error) {
+            throw error;
+        }
+        
+        for (const scheduled of due) {
+            if (isClientReady(scheduled.user_id)) {
+                await sendScheduledMessage(scheduled);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Scheduled message poller error:', error.message);
+    } finally {
+        scheduledRunning = false;
+    }
+}
+
+failInterruptedScheduledMessages();
+setInterval(processScheduledMessages, SCHEDULED_POLL_INTERVAL_MS);
+
+// Shared by create and update; on update every field is optional
+const scheduledMessageValidators = (isUpdate) => {
+    const requiredOnCreate = (chain) => isUpdate ? chain.optional() : chain;
+    
+    return [
+        chatIdField(requiredOnCreate(body('to'))),
+        body('message')
+            .optional()
+            .trim()
+            .isLength({ max: 4096 }).withMessage('Message too long (max 4096 chars)'),
+        body('media.url')
+            .optional()
+            .isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('media.url must be an http(s) URL'),
+        requiredOnCreate(body('send_at'))
+            .trim()
+            .isISO8601({ strict: true }).withMessage('send_at must be an ISO 8601 date/time'),
+        body('timezone')
+            .optional()
+            .trim()
+            .custom(isValidTimeZone).withMessage('Unknown timezone (use an IANA name like "Asia/Amman")')
+    ];
+};
+
+// Check `send_at`/`timezone` and return the UTC date, or an error message
+function getScheduledSendAt(sendAt, timeZone) {
+    const date = resolveSendAt(sendAt, timeZone);
+    
+    if (isNaN(date.getTime())) {
+        return { error: 'Invalid send_at' };
+    }
+    
+    if (date <= new Date()) {
+        return { error: 'send_at must be in the future' };
+    }
+    
+    if (date - Date.now() > SCHEDULED_MAX_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+        return { error: `send_at must be within ${SCHEDULED_MAX_AHEAD_DAYS} days` };
+    }
+    
+    return { date };
+}
+
+// Schedule a text or media message. Accepts JSON or multipart/form-data
+// (same media options as /webhook/send)
+app.post('/scheduled-messages',
+    authenticateUser,
+    messageLimiter,
+    uploadMediaFile,
+    scheduledMessageValidators(false),
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { to, message } = req.body;
+        const timezone = req.body.timezone || 'UTC';
+        
+        const sendAt = getScheduledSendAt(req.body.send_at, timezone);
+        if (sendAt.error) {
+            return res.status(400).json({ error: sendAt.error });
         }
         
-        const media = new MessageMedia(mimeType, mediaData, filename);
-        await client.sendMessage(chatId, media, { caption: caption || '' });
+        let media;
+        try {
+            media = await resolveSendMedia(req);
+        } catch (error) {
+            return res.status(error.status || 500).json({ error: error.message });
+        }
         
-        console.log(`✅ Media sent for user ${userId}`);
-        res.json({ success: true, message: 'Media sent successfully' });
+        if (!message && !media) {
+            return res.status(400).json({ error: 'Either message or media is required' });
+        }
+        
+        const { data: scheduled, error } = await supabase
+            .from('scheduled_messages')
+            .insert({
+                user_id: userId,
+                chat_id: to,
+                message: message || null,
+                media_mimetype: media ? media.mimetype : null,
+                media_filename: media ? media.filename : null,
+                media_data: media ? media.data : null,
+                send_at: sendAt.date.toISOString(),
+                timezone,
+                status: 'pending',
+                attempts: 0,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .select(SCHEDULED_COLUMNS)
+            .single();
+        
+        if (error) {
+            throw error;
+        }
         
+        console.log(`⏰ Message scheduled for ${scheduled.send_at} by user ${userId}`);
+        res.status(201).json({ success: true, scheduled: formatScheduledMessage(scheduled) });
     } catch (error) {
-        console.error('Error sending media:', error);
+        console.error('❌ Error scheduling message:', error);
         res.status(500).json({ 
-            success: false,
-            error: 'Failed to send media', 
+            error: 'Failed to schedule message',
             details: error.message 
         });
     }
 });
 
-app.post('/logout-whatsapp', authenticateUser, async (req, res) => {
+// List scheduled messages (soonest first)
+app.get('/scheduled-messages',
+    authenticateUser,
+    [
+        query('status')
+            .optional()
+            .isIn(['pending', 'sending', 'sent', 'failed', 'cancelled']).withMessage('Invalid status'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit, 10) || 50;
+        
+        let scheduledQuery = supabase
+            .from('scheduled_messages')
+            .select(SCHEDULED_COLUMNS)
+            .eq('user_id', req.user.id)
+            .order('send_at', { ascending: true })
+            .limit(limit);
+        
+        if (req.query.status) {
+            scheduledQuery = scheduledQuery.eq('status', req.query.status);
+        }
+        
+        const { data: scheduled, error } = await scheduledQuery;
+        
+        if (error) {
+            throw error;
+        }
+        
+        res.json({ success: true, scheduled: scheduled.map(formatScheduledMessage) });
+    } catch (error) {
+        console.error('❌ Error listing scheduled messages:', error);
+        res.status(500).json({ 
+            error: 'Failed to list scheduled messages',
+            details: error.message 
+        });
+    }
+});
+
+// Edit a pending scheduled message (only the fields provided)
+app.put('/scheduled-messages/:id',
+    authenticateUser,
+    uploadMediaFile,
+    [
+        param('id')
+            .isInt().withMessage('Invalid scheduled message ID'),
+        ...scheduledMessageValidators(true)
+    ],
+    validate,
+    async (req, res) => {
     try {
         const userId = req.user.id;
-        const client = whatsappClients.get(userId);
         
-        if (client) {
-            console.log(`🔌 Disconnecting WhatsApp for user: ${userId}`);
+        const { data: existing, error: fetchError } = await supabase
+            .from('scheduled_messages')
+            .select('id, message, media_mimetype, send_at, timezone, status')
+            .eq('id', req.params.id)
+            .eq('user_id', userId)
+            .maybeSingle();
+        
+        if (fetchError) {
+            throw fetchError;
+        }
+        
+        if (!existing) {
+            return res.status(404).json({ error: 'Scheduled message not found' });
+        }
+        
+        if (existing.status !== 'pending') {
+            return res.status(409).json({ error: `Cannot edit a ${existing.status} message` });
+        }
+        
+        const update = { updated_at: new Date().toISOString() };
+        
+        if (req.body.to !== undefined) {
+            update.chat_id = req.body.to;
+        }
+        
+        if (req.body.message !== undefined) {
+            update.message = req.body.message || null;
+        }
+        
+        // A new send_at is read in the new timezone; a new timezone alone
+        // keeps the stored instant
+        if (req.body.send_at !== undefined) {
+            const timezone = req.body.timezone || existing.timezone;
+            const sendAt = getScheduledSendAt(req.body.send_at, timezone);
             
-            // Step 1: Logout from WhatsApp
-            try {
-                await client.logout();
-            } catch (logoutErr) {
-                console.error('⚠️ Logout error (ignored):', logoutErr.message);
+            if (sendAt.error) {
+                return res.status(400).json({ error: sendAt.error });
             }
             
-            // Step 2: Remove from memory maps
-            whatsappClients.delete(userId);
-            clientStates.delete(userId);
-            userWebhooks.delete(userId);
-            activeSessionsCount--;
-            
-            // Step 3: Update database status
-            await supabase
+            update.send_at = sendAt.date.toISOString();
+        }
+        
+        if (req.body.timezone !== undefined) {
+            update.timezone = req.body.timezone;
+        }
+        
+        let media;
+        try {
+            media = await resolveSendMedia(req);
+        } catch (error) {
+            return res.status(error.status || 500).json({ error: error.message });
+        }
+        
+        if (media) {
+            update.media_mimetype = media.mimetype;
+            update.media_filename = media.filename;
+            update.media_data = media.data;
+        } else if (req.body.media === null) {
+            update.media_mimetype = null;
+            update.media_filename = null;
+            update.media_data = null;
+        }
+        
+        const message = update.message !== undefined ? update.message : existing.message;
+        const mediaMimetype = update.media_mimetype !== undefined ? update.media_mimetype : existing.media_mimetype;
+        
+        if (!message && !mediaMimetype) {
+            return res.status(400).json({ error: 'Either message or media is required' });
+        }
+        
+        const { data: scheduled, error } = await supabase
+            .from('scheduled_messages')
+            .update(update)
+            .eq('id', existing.id)
+            .eq('status', 'pending')
+            .select(SCHEDULED_COLUMNS)
+            .maybeSingle();
+        
+        if (error) {
+            throw error;
+        }
+        
+        if (!scheduled) {
+            return res.status(409).json({ error: 'Message was sent or cancelled in the meantime' });
+        }
+        
+        res.json({ success: true, scheduled: formatScheduledMessage(scheduled) });
+    } catch (error) {
+        console.error('❌ Error updating scheduled message:', error);
+        res.status(500).json({ 
+            error: 'Failed to update scheduled message',
+            details: error.message 
+        });
+    }
+});
+
+// Cancel a pending scheduled message
+app.post('/scheduled-messages/:id/cancel',
+    authenticateUser,
+    [
+        param('id')
+            .isInt().withMessage('Invalid scheduled message ID')
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const { data: scheduled, error } = await supabase
+            .from('scheduled_messages')
+            .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .eq('status', 'pending')
+            .select(SCHEDULED_COLUMNS)
+            .maybeSingle();
+        
+        if (error) {
+            throw error;
+        }
+        
+        if (!scheduled) {
+            return res.status(409).json({ error: 'Scheduled message not found or no longer pending' });
+        }
+        
+        res.json({ success: true, scheduled: formatScheduledMessage(scheduled) });
+    } catch (error) {
+        console.error('❌ Error cancelling scheduled message:', error);
+        res.status(500).json({ 
+            error: 'Failed to cancel scheduled message',
+            details: error.message 
+        });
+    }
+});
+
+// ============================================
+// MESSAGE TEMPLATE ENDPOINTS
+// ============================================
+
+function formatTemplate(template) {
+    return {
+        id: template.id,
+        name: template.name,
+        body: template.body,
+        variables: getTemplateVariables(template.body),
+        media: template.media_mimetype
+            ? { mimetype: template.media_mimetype, filename: template.media_filename }
+            : null,
+        created_at: template.created_at,
+        updated_at: template.updated_at
+    };
+}
+
+const templateValidators = (isUpdate) => {
+    const requiredOnCreate = (chain) => isUpdate ? chain.optional() : chain;
+    
+    return [
+        requiredOnCreate(body('name'))
+            .trim()
+            .notEmpty().withMessage('Name is required')
+            .isLength({ max: 100 }).withMessage('Name too long (max 100 chars)'),
+        body('body')
+            .optional()
+            .isLength({ max: 4096 }).withMessage('Template too long (max 4096 chars)'),
+        body('media.url')
+            .optional()
+            .isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('media.url must be an http(s) URL')
+    ];
+};
+
+// List templates
+app.get('/templates', authenticateUser, async (req, res) => {
+    try {
+        const { data: templates, error } = await supabase
+            .from('message_templates')
+            .select(TEMPLATE_COLUMNS)
+            .eq('user_id', req.user.id)
+            .order('name', { ascending: true });
+        
+        if (error) {
+            throw error;
+        }
+        
+        res.json({ success: true, templates: templates.map(formatTemplate) });
+    } catch (error) {
+        console.error('❌ Error listing templates:', error);
+        res.status(500).json({ 
+            error: 'Failed to list templates',
+            details: error.message 
+        });
+    }
+});
+
+// Create a template. Media uses the same options as /webhook/send
+app.post('/templates',
+    authenticateUser,
+    uploadMediaFile,
+    templateValidators(false),
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        
+        let media;
+        try {
+            media = await resolveSendMedia(req);
+        } catch (error) {
+            return res.status(error.status || 500).json({ error: error.message });
+        }
+        
+        if (!req.body.body && !media) {
+            return res.status(400).json({ error: 'A template needs a body or media' });
+        }
+        
+        const { data: template, error } = await supabase
+            .from('message_templates')
+            .insert({
+                user_id: userId,
+                name: req.body.name,
+                body: req.body.body || '',
+                media_mimetype: media ? media.mimetype : null,
+                media_filename: media ? media.filename : null,
+                media_data: media ? media.data : null,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .select(TEMPLATE_COLUMNS)
+            .single();
+        
+        if (error) {
+            // Unique (user_id, name)
+            if (error.code === '23505') {
+                return res.status(409).json({ error: 'A template with this name already exists' });
+            }
+            throw error;
+        }
+        
+        console.log(`📝 Template "${template.name}" created for user ${userId}`);
+        res.status(201).json({ success: true, template: formatTemplate(template) });
+    } catch (error) {
+        console.error('❌ Error creating template:', error);
+        res.status(500).json({ 
+            error: 'Failed to create template',
+            details: error.message 
+        });
+    }
+});
+
+// Update a template (only the fields provided; `"media": null` removes media)
+app.put('/templates/:id',
+    authenticateUser,
+    uploadMediaFile,
+    [
+        param('id')
+            .isInt().withMessage('Invalid template ID'),
+        ...templateValidators(true)
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const update = { updated_at: new Date().toISOString() };
+        
+        for (const field of ['name', 'body']) {
+            if (req.body[field] !== undefined) {
+                update[field] = req.body[field];
+            }
+        }
+        
+        let media;
+        try {
+            media = await resolveSendMedia(req);
+        } catch (error) {
+            return res.status(error.status || 500).json({ error: error.message });
+        }
+        
+        if (media) {
+            update.media_mimetype = media.mimetype;
+            update.media_filename = media.filename;
+            update.media_data = media.data;
+        } else if (req.body.media === null) {
+            update.media_mimetype = null;
+            update.media_filename = null;
+            update.media_data = null;
+        }
+        
+        const { data: template, error } = await supabase
+            .from('message_templates')
+            .update(update)
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .select(TEMPLATE_COLUMNS)
+            .maybeSingle();
+        
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: 'A template with this name already exists' });
+            }
+            throw error;
+        }
+        
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        
+        res.json({ success: true, template: formatTemplate(template) });
+    } catch (error) {
+        console.error('❌ Error updating template:', error);
+        res.status(500).json({ 
+            error: 'Failed to update template',
+            details: error.message 
+        });
+    }
+});
+
+// Delete a template
+app.delete('/templates/:id',
+    authenticateUser,
+    [
+        param('id')
+            .isInt().withMessage('Invalid template ID')
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const { data: template, error } = await supabase
+            .from('message_templates')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .select('id')
+            .maybeSingle();
+        
+        if (error) {
+            throw error;
+        }
+        
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        
+        res.json({ success: true, message: 'Template deleted' });
+    } catch (error) {
+        console.error('❌ Error deleting template:', error);
+        res.status(500).json({ 
+            error: 'Failed to delete template',
+            details: error.message 
+        });
+    }
+});
+
+// ============================================
+// SEND QUEUE ENDPOINTS
+// ============================================
+
+// Queue depth and pacing settings for the account
+app.get('/send-queue', authenticateUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        
+        res.json({
+            success: true,
+            ...getSendQueueStatus(userId),
+            settings: await getSendSettings(userId)
+        });
+    } catch (error) {
+        console.error('❌ Error getting send queue:', error);
+        res.status(500).json({ 
+            error: 'Failed to get send queue',
+            details: error.message 
+        });
+    }
+});
+
+app.put('/send-queue/settings',
+    authenticateUser,
+    [
+        body('delay_ms')
+            .optional()
+            .isInt({ min: 0, max: SEND_MAX_DELAY_MS })
+            .withMessage(`delay_ms must be between 0 and ${SEND_MAX_DELAY_MS}`)
+            .toInt(),
+        body('jitter_ms')
+            .optional()
+            .isInt({ min: 0, max: SEND_MAX_DELAY_MS })
+            .withMessage(`jitter_ms must be between 0 and ${SEND_MAX_DELAY_MS}`)
+            .toInt(),
+        body('typing_enabled')
+            .optional()
+            .isBoolean({ strict: true }).withMessage('typing_enabled must be true or false'),
+        body('typing_max_ms')
+            .optional()
+            .isInt({ min: TYPING_MIN_MS, max: TYPING_MAX_MS })
+            .withMessage(`typing_max_ms must be between ${TYPING_MIN_MS} and ${TYPING_MAX_MS}`)
+            .toInt()
+    ],
+    validate,
+    async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { delay_ms, jitter_ms, typing_enabled, typing_max_ms } = req.body;
+        
+        const update = {
+            ...(delay_ms !== undefined && { send_delay_ms: delay_ms }),
+            ...(jitter_ms !== undefined && { send_jitter_ms: jitter_ms }),
+            ...(typing_enabled !== undefined && { typing_enabled }),
+            ...(typing_max_ms !== undefined && { typing_max_ms }),
+            updated_at: new Date().toISOString()
+        };
+        
+        const { data: existingSession } = await supabase
+            .from('whatsapp_sessions')
+            .select('id')
+            .eq('user_id', userId)
+            .maybeSingle();
+        
+        const result = existingSession
+            ? await supabase
                 .from('whatsapp_sessions')
-                .update({
+                .update(update)
+                .eq('user_id', userId)
+                .select(SEND_SETTINGS_COLUMNS)
+                .single()
+            : await supabase
+                .from('whatsapp_sessions')
+                .insert({
+                    user_id: userId,
+                    ...update,
                     is_connected: false,
-                    updated_at: new Date().toISOString()
+                    created_at: new Date().toISOString()
                 })
-                .eq('user_id', userId);
-            
-            // Step 4: Destroy client in background
-            setTimeout(async () => {
-                try {
-                    await client.destroy();
-                    console.log(`✅ Client destroyed: ${userId}`);
-                } catch (err) {
-                    console.log(`ℹ️ Client cleanup completed: ${userId}`);
-                }
-            }, 2000);
-            
-            console.log(`✅ WhatsApp disconnected for: ${userId}`);
-            console.log(`📉 Active sessions: ${activeSessionsCount}/${MAX_CONCURRENT_SESSIONS}`);
+                .select(SEND_SETTINGS_COLUMNS)
+                .single();
+        
+        if (result.error) {
+            throw result.error;
         }
         
-        res.json({ 
-            success: true, 
-            message: 'WhatsApp disconnected. You will need to scan QR code again.' 
-        });
+        const settings = formatSendSettings(result.data);
+        sendSettings.set(userId, settings);
         
+        console.log(`🚦 Send settings updated for user ${userId}:`, settings);
+        res.json({ success: true, settings });
     } catch (error) {
-        console.error('❌ Disconnect error:', error.message);
-        res.json({ 
-            success: true, 
-            message: 'Disconnected (with warnings)',
-            warning: error.message 
+        console.error('❌ Error saving send settings:', error);
+        res.status(500).json({ 
+            error: 'Failed to save send settings',
+            details: error.message 
         });
     }
 });
 
-app.get('/user-info', authenticateUser, (req, res) => {
-    res.json({
-        user: {
-            id: req.user.id,
-            email: req.user.email,
-            created_at: req.user.created_at
-        }
-    });
-});
-
 // ============================================
-// WEBHOOK MANAGEMENT ENDPOINTS
+// PHONE NUMBER ENDPOINTS
 // ============================================
 
-// Get webhook configuration
-app.get('/webhook/config', authenticateUser, async (req, res) => {
+// Default country for numbers without a country code
+app.get('/numbers/settings', authenticateUser, async (req, res) => {
     try {
-        const userId = req.user.id;
-        
-        console.log('📖 Getting webhook config for user:', userId);
-        
         const { data: session, error } = await supabase
             .from('whatsapp_sessions')
-            .select('webhook_url, webhook_enabled, webhook_secret')
-            .eq('user_id', userId)
+            .select('default_country')
+            .eq('user_id', req.user.id)
             .maybeSingle();
         
         if (error) {
-            console.error('Database error:', error);
             throw error;
         }
         
-        const baseUrl = `${req.protocol}://${req.get('host')}`;
-        
         res.json({
             success: true,
-            webhook_url: session?.webhook_url || null,
-            webhook_enabled: session?.webhook_enabled || false,
-            webhook_secret: session?.webhook_secret || null,
-            outgoing_webhook_url: `${baseUrl}/webhook/send/${userId}`
+            default_country: session?.default_country || null,
+            server_default_country: getEnvDefaultCountry()
         });
     } catch (error) {
-        console.error('❌ Error getting webhook config:', error);
+        console.error('❌ Error getting number settings:', error);
         res.status(500).json({ 
-            error: 'Failed to get webhook config',
+            error: 'Failed to get number settings',
             details: error.message 
         });
     }
 });
 
-// Update webhook configuration
-app.post('/webhook/config', 
+app.put('/numbers/settings',
     authenticateUser,
     [
-        body('webhook_url')
-            .optional()
-            .trim()
-            .isURL().withMessage('Invalid webhook URL'),
-        body('webhook_enabled')
-            .optional()
-            .isBoolean().withMessage('webhook_enabled must be boolean')
+        body('default_country')
+            .customSanitizer(value => typeof value === 'string' ? value.trim().toUpperCase() || null : value)
+            .optional({ values: 'null' })
+            .custom(value => isSupportedCountry(value)).withMessage('default_country must be an ISO 3166-1 alpha-2 country code (e.g. "JO")')
     ],
     validate,
     async (req, res) => {
     try {
         const userId = req.user.id;
-        const { webhook_url, webhook_enabled } = req.body;
-        
-        console.log('📝 Saving webhook config for user:', userId);
-        console.log('Webhook URL:', webhook_url);
-        console.log('Enabled:', webhook_enabled);
+        const defaultCountry = req.body.default_country || null;
         
-        // Generate a secret token for webhook verification
-        const webhook_secret = crypto.randomBytes(32).toString('hex');
-        
-        // First, check if user has a session record
         const { data: existingSession } = await supabase
             .from('whatsapp_sessions')
             .select('id')
             .eq('user_id', userId)
-            .single();
-        
-        let result;
+            .maybeSingle();
         
-        if (existingSession) {
-            // Update existing record
-            result = await supabase
+        const result = existingSession
+            ? await supabase
                 .from('whatsapp_sessions')
-                .update({
-                    webhook_url: webhook_url || null,
-                    webhook_enabled: webhook_enabled || false,
-                    webhook_secret: webhook_secret,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('user_id', userId);
-        } else {
-            // Insert new record
-            result = await supabase
+                .update({ default_country: defaultCountry, updated_at: new Date().toISOString() })
+                .eq('user_id', userId)
+            : await supabase
                 .from('whatsapp_sessions')
                 .insert({
                     user_id: userId,
-                    webhook_url: webhook_url || null,
-                    webhook_enabled: webhook_enabled || false,
-                    webhook_secret: webhook_secret,
+                    default_country: defaultCountry,
                     is_connected: false,
                     created_at: new Date().toISOString(),
                     updated_at: new Date().toISOString()
                 });
-        }
         
         if (result.error) {
-            console.error('❌ Database error:', result.error);
             throw result.error;
         }
         
-        // Update in-memory webhook
-        if (webhook_enabled && webhook_url) {
-            userWebhooks.set(userId, webhook_url);
-            console.log(`✅ Webhook configured for user ${userId}`);
-        } else {
-            userWebhooks.delete(userId);
-            console.log(`🔕 Webhook disabled for user ${userId}`);
-        }
-        
-        const response = {
-            success: true,
-            message: 'Webhook configured successfully'
-        };
-        
-        if (webhook_enabled && webhook_url) {
-            response.webhook_secret = webhook_secret;
-            response.note = '⚠️ Save this secret! You will not see it again.';
-        }
+        defaultCountries.set(userId, defaultCountry);
         
-        res.json(response);
+        console.log(`📞 Default country for user ${userId}: ${defaultCountry || 'none'}`);
+        res.json({ success: true, default_country: defaultCountry });
     } catch (error) {
-        console.error('❌ Error configuring webhook:', error);
+        console.error('❌ Error saving number settings:', error);
         res.status(500).json({ 
-            error: 'Failed to configure webhook',
+            error: 'Failed to save number settings',
             details: error.message 
         });
     }
 });
 
-// Test webhook
-app.post('/webhook/test', authenticateUser, async (req, res) => {
+// Check whether numbers are on WhatsApp before sending to them.
+// Body: { "number": "..." } or { "numbers": ["...", ...] }
+app.post('/numbers/check',
+    authenticateUser,
+    messageLimiter,
+    [
+        body()
+            .custom(value => value.number !== undefined || value.numbers !== undefined)
+            .withMessage('number or numbers is required'),
+        body('number')
+            .optional()
+            .isString().withMessage('number must be a string')
+            .trim()
+            .notEmpty().withMessage('number cannot be empty'),
+        body('numbers')
+            .optional()
+            .isArray({ min: 1, max: NUMBER_CHECK_MAX })
+            .withMessage(`numbers must be a list of 1-${NUMBER_CHECK_MAX} phone numbers`),
+        body('numbers.*')
+            .isString().withMessage('numbers must be strings')
+            .trim()
+    ],
+    validate,
+    async (req, res) => {
     try {
         const userId = req.user.id;
+        const client = whatsappClients.get(userId);
         
-        const testData = {
-            event: 'test',
-            timestamp: new Date().toISOString(),
-            message: 'This is a test webhook from WhatsApp Manager',
-            user_id: userId
-        };
+        if (!client || !isClientReady(userId)) {
+            return res.status(503).json({ error: 'WhatsApp not connected' });
+        }
         
-        await sendToWebhook(userId, testData);
+        const defaultCountry = await getDefaultCountry(userId);
+        
+        if (req.body.number !== undefined) {
+            const result = await checkNumber(client, req.body.number, defaultCountry);
+            return res.json({ success: true, ...result });
+        }
+        
+        // One at a time to keep the lookups gentle on the session
+        const results = [];
+        for (const number of req.body.numbers) {
+            results.push(await checkNumber(client, number, defaultCountry));
+        }
         
+        console.log(`📞 Checked ${results.length} number(s) for user ${userId}`);
         res.json({
             success: true,
-            message: 'Test webhook sent'
+            default_country: defaultCountry,
+            registered_count: results.filter(result => result.registered).length,
+            results
         });
     } catch (error) {
-        console.error('Error testing webhook:', error);
-        res.status(500).json({ error: 'Failed to send test webhook' });
+        console.error('❌ Error checking numbers:', error);
+        res.status(500).json({ 
+            error: 'Failed to check numbers',
+            details: error.message 
+        });
     }
 });
 
@@ -916,33 +6605,56 @@ app.post('/webhook/test', authenticateUser, async (req, res) => {
 // PUBLIC WEBHOOK ENDPOINT (for sending messages)
 // ============================================
 
-app.post('/webhook/send/:userId', 
-    webhookLimiter,
-    [
-        param('userId')
-            .isUUID().withMessage('Invalid user ID'),
-        body('to')
-            .trim()
-            .notEmpty().withMessage('Recipient is required')
-            .matches(/^[\d\-]+(@[cg]\.us)?$/).withMessage('Invalid phone number format'),
-        body('secret')
-            .notEmpty().withMessage('Secret is required')
-        // ✅ REMOVED: message validation (now optional)
-    ],
-    validate,
-    async (req, res) => {
+// Max clock skew / age for signed send requests
+const WEBHOOK_SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Verify `X-Webhook-Signature` (HMAC of `${timestamp}.${rawBody}`, same
+// scheme as our deliveries) against any currently valid secret. Only JSON
+// bodies keep their raw bytes, so other requests can't be signed
+function isValidSignedRequest(req, session) {
+    const timestamp = req.get('X-Webhook-Timestamp');
+    const signatures = (req.get('X-Webhook-Signature') || '').split(',').map(sig => sig.trim());
+    
+    if (!timestamp || !/^\d+$/.test(timestamp)) {
+        return false;
+    }
+    
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > WEBHOOK_SIGNATURE_TOLERANCE_SECONDS) {
+        return false;
+    }
+    
+    if (!req.rawBody) {
+        return false;
+    }
+    
+    const rawBody = req.rawBody.toString('utf8');
+    
+    return getValidWebhookSecrets(session).some(secret => {
+        const expected = `sha256=${signWebhookPayload(secret, timestamp, rawBody)}`;
+        return signatures.some(signature => safeEqual(signature, expected));
+    });
+}
+
+function isUUID(value) {
+    return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+}
+
+// Authenticate a /webhook/send caller. The endpoint id is the opaque
+// `webhook_token` (legacy URLs with the user UUID still work). Credentials,
+// in order of preference:
+//   1. Authorization: Bearer <secret>
+//   2. X-Webhook-Timestamp + X-Webhook-Signature (signed body)
+//   3. "secret" in the JSON body (legacy)
+async function authenticateWebhookSender(req, res, next) {
     try {
-        const userId = req.params.userId;
-        const { to, message, media, secret } = req.body; // ✅ Added media
-        
-        console.log(`📥 Incoming webhook request for user: ${userId}`);
+        const endpointId = req.params.endpointId;
+        const isLegacyUrl = isUUID(endpointId);
         
-        // Verify secret token
         const { data: session } = await supabase
             .from('whatsapp_sessions')
-            .select('webhook_secret, webhook_enabled')
-            .eq('user_id', userId)
-            .single();
+            .select('user_id, webhook_secret, webhook_secret_previous, webhook_secret_previous_expires_at, webhook_enabled')
+            .eq(isLegacyUrl ? 'user_id' : 'webhook_token', endpointId)
+            .maybeSingle();
         
         if (!session || !session.webhook_enabled) {
             return res.status(403).json({ 
@@ -951,13 +6663,120 @@ app.post('/webhook/send/:userId',
             });
         }
         
-        if (secret !== session.webhook_secret) {
+        const authHeader = req.headers.authorization;
+        let authenticated = false;
+        
+        if (authHeader && authHeader.startsWith('Bearer ')) {
+            authenticated = isValidWebhookSecret(session, authHeader.slice('Bearer '.length).trim());
+        } else if (req.get('X-Webhook-Signature')) {
+            // A signature without the signed bytes (multipart, urlencoded)
+            // would only cover the timestamp
+            if (!req.rawBody) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Signed requests need a JSON body. Use Authorization: Bearer <secret> for uploads.'
+                });
+            }
+            
+            authenticated = isValidSignedRequest(req, session);
+        } else if (req.body && req.body.secret) {
+            authenticated = isValidWebhookSecret(session, req.body.secret);
+        } else {
+            return res.status(401).json({ 
+                success: false,
+                error: 'Missing credentials. Use Authorization: Bearer <secret> or signed request headers.' 
+            });
+        }
+        
+        if (!authenticated) {
             return res.status(401).json({ 
                 success: false,
                 error: 'Invalid webhook secret' 
             });
         }
         
+        if (isLegacyUrl) {
+            console.warn(`⚠️ Legacy /webhook/send URL with user ID used for user ${session.user_id}`);
+        }
+        
+        req.webhookUserId = session.user_id;
+        next();
+    } catch (error) {
+        console.error('Webhook auth error:', error);
+        res.status(401).json({ success: false, error: 'Authentication failed' });
+    }
+}
+
+// Build the MessageMedia for a send request, from (in order) a multipart
+// `file`, `media.url` or inline base64 `media.data`. Returns null for text-only
+async function resolveSendMedia(req) {
+    const { media } = req.body;
+    
+    if (req.file) {
+        const mimetype = req.body.mimetype || req.file.mimetype;
+        
+        if (!isAllowedMediaType(mimetype)) {
+            throw httpError(`Unsupported media type: ${mimetype || 'unknown'}`, 415);
+        }
+        
+        return new MessageMedia(
+            mimetype,
+            req.file.buffer.toString('base64'),
+            req.body.filename || req.file.originalname || 'file',
+            req.file.size
+        );
+    }
+    
+    if (media && media.url) {
+        return fetchMediaFromUrl(media.url, {
+            mimetype: media.mimetype,
+            filename: media.filename
+        });
+    }
+    
+    if (media && media.data && media.mimetype) {
+        return new MessageMedia(
+            media.mimetype,
+            media.data, // Base64 string
+            media.filename || 'file'
+        );
+    }
+    
+    return null;
+}
+
+// Accepts JSON, or multipart/form-data with a `file` field plus `to` and
+// optional `message` (caption), `filename` and `mimetype` fields.
+// Multipart callers must authenticate with the Authorization header
+app.post('/webhook/send/:endpointId', 
+    webhookLimiter,
+    [
+        param('endpointId')
+            .matches(/^[A-Za-z0-9_-]{16,64}$/).withMessage('Invalid webhook endpoint')
+    ],
+    validate,
+    authenticateWebhookSender,
+    uploadMediaFile,
+    [
+        chatIdField(body('to')),
+        body('media.url')
+            .optional()
+            .isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('media.url must be an http(s) URL'),
+        ...templateSendValidators,
+        ...richContentValidators,
+        ...mediaSendOptionValidators
+        // ✅ REMOVED: message validation (now optional)
+    ],
+    validate,
+    idempotent('webhook-send'),
+    async (req, res) => {
+    try {
+        const userId = req.webhookUserId;
+        const { to } = req.body;
+        let { message } = req.body;
+        
+        console.log(`📥 Incoming webhook request for user: ${userId}`);
+        
         const client = whatsappClients.get(userId);
         
         if (!client) {
@@ -967,25 +6786,57 @@ app.post('/webhook/send/:userId',
             });
         }
         
-        // Format phone number if needed
-        const chatId = to.includes('@') ? to : `${to}@c.us`;
+        // `to` was normalized to a chat ID by the validator
+        const chatId = to;
+        
+        // Location, contact card or poll
+        if (hasRichContent(req.body)) {
+            const sent = await queueMessage(userId, chatId, buildRichContent(req.body));
+            res.locals.messageSent = true;
+            const type = ['location', 'vcard', 'contact', 'poll'].find(key => req.body[key]);
+            console.log(`✅ ${type} sent via webhook for user ${userId}`);
+            
+            await supabase.from('webhook_logs').insert({
+                user_id: userId,
+                direction: 'outgoing',
+                status: 'success',
+                payload: { to, type, [type]: req.body[type] }
+            });
+            
+            return res.json({
+                success: true,
+                message: 'Message sent successfully',
+                to: chatId,
+                id: sent?.id?._serialized || null
+            });
+        }
+        
+        let messageMedia;
+        try {
+            messageMedia = await resolveSendMedia(req);
+            
+            // A template provides the text, and media unless the request has its own
+            if (req.body.template_id) {
+                const template = await renderTemplateMessage(userId, req.body.template_id, req.body.variables);
+                message = template.message;
+                messageMedia = messageMedia || template.media;
+            }
+        } catch (error) {
+            console.error(`❌ Error preparing message:`, error.message);
+            return res.status(error.status || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
         
-        // ✅ NEW: Check if media is provided
-        if (media && media.data && media.mimetype) {
-            console.log(`📤 Sending media via webhook: ${media.mimetype}`);
+        if (messageMedia) {
+            console.log(`📤 Sending media via webhook: ${messageMedia.mimetype}`);
             
             try {
-                // Create MessageMedia object
-                const messageMedia = new MessageMedia(
-                    media.mimetype,
-                    media.data, // Base64 string
-                    media.filename || 'file'
-                );
-                
-                // Send with optional caption
-                await client.sendMessage(chatId, messageMedia, {
-                    caption: message || ''
-                });
+                // Caption, or voice note / sticker / document options
+                const prepared = await prepareMediaSend(messageMedia, req.body, message);
+                const sent = await queueMessage(userId, chatId, prepared.media, prepared.options);
+                res.locals.messageSent = true;
                 
                 console.log(`✅ Media sent via webhook for user ${userId}`);
                 
@@ -994,24 +6845,33 @@ app.post('/webhook/send/:userId',
                     user_id: userId,
                     direction: 'outgoing',
                     status: 'success',
-                    payload: { to, hasMedia: true, mimetype: media.mimetype }
+                    payload: {
+                        to,
+                        hasMedia: true,
+                        mimetype: messageMedia.mimetype,
+                        send_as: MEDIA_SEND_FLAGS.find(flag => req.body[flag] === true),
+                        source: req.file ? 'upload' : (req.body.media ? (req.body.media.url ? 'url' : 'base64') : 'template'),
+                        template_id: req.body.template_id || undefined
+                    }
                 });
                 
                 return res.json({
                     success: true,
                     message: 'Media sent successfully',
-                    to: chatId
+                    to: chatId,
+                    id: sent?.id?._serialized || null
                 });
             } catch (error) {
                 console.error(`❌ Error sending media:`, error);
-                return res.status(500).json({
+                return res.status(error.status || 500).json({
                     success: false,
                     error: 'Failed to send media: ' + error.message
                 });
             }
         } else if (message) {
             // Send text message
-            await client.sendMessage(chatId, message);
+            const sent = await queueMessage(userId, chatId, message);
+            res.locals.messageSent = true;
             console.log(`✅ Text message sent via webhook for user ${userId}`);
             
             // Log webhook call
@@ -1019,13 +6879,14 @@ app.post('/webhook/send/:userId',
                 user_id: userId,
                 direction: 'outgoing',
                 status: 'success',
-                payload: { to, message }
+                payload: { to, message, template_id: req.body.template_id || undefined }
             });
             
             return res.json({
                 success: true,
                 message: 'Message sent successfully',
-                to: chatId
+                to: chatId,
+                id: sent?.id?._serialized || null
             });
         } else {
             return res.status(400).json({
@@ -1035,7 +6896,7 @@ app.post('/webhook/send/:userId',
         }
     } catch (error) {
         console.error('❌ Webhook send error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message
         });
@@ -1077,6 +6938,11 @@ async function gracefulShutdown(signal) {
         new Promise(resolve => setTimeout(resolve, 5000))
     ]);
     
+    // Flush the local archive file (the Supabase archive has nothing to close)
+    if (messageArchive && messageArchive.close) {
+        messageArchive.close();
+    }
+    
     console.log('✅ Graceful shutdown complete');
     process.exit(0);
 }